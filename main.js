@@ -4,6 +4,9 @@
      GET /MasterFit_Calender_Get_Appt_Resource_Nutration?Customer_Id={id}
      GET /MasterFit_APP_GetAppointment/Calender?Customer_Id={id}&Date={yyyy-mm-dd}&Resource_Id={id}
    - New: Update endpoint POST /Masterfit_Calender_Nutation_Update
+   - New: Register endpoint POST /Masterfit_Calender_Nutation_Register
+   - New: Reschedule endpoint POST /Masterfit_Calender_Nutation_Reschedule
+   - New: Cancel endpoint POST /Masterfit_Calender_Nutation_Cancel
    - View modal supports read-only view and "updating" edit mode where Status/Notes can be changed
 
    NOTE: This file is your original file with added date-nav/display integration.
@@ -14,14 +17,82 @@
    ========================= */
 const CONFIG = {
   API_BASE: 'http://66.94.119.235/Masterfit_Api/api', // <- set your base
-  CUSTOMER_ID: 1,    // default/hardcoded user id if not provided
+  SESSION_KEY: 'masterfitSession', // sessionStorage key for the signed-in customer
+  SEARCH_MAX_DAYS: 31, // longest date range the "find next available" search scans
+  // "My appointments" panel: default range around today and the longest range it scans
+  // (one slot GET per resource and day, so keep these small)
+  MY_APPOINTMENTS_PAST_DAYS: 0,
+  MY_APPOINTMENTS_AHEAD_DAYS: 14,
+  MY_APPOINTMENTS_MAX_DAYS: 31,
+  CACHE_TTL_MS: 60 * 1000,            // slots younger than this are served without a request
+  CACHE_MAX_STALE_MS: 10 * 60 * 1000, // older than TTL but younger than this: shown, then revalidated
+  RESOURCE_CACHE_TTL_MS: 5 * 60 * 1000,
+  HTTP_TIMEOUT_MS: 15000,    // per attempt
+  HTTP_RETRIES: 2,           // extra attempts for GETs on network errors / 5xx / 429
+  HTTP_RETRY_BASE_MS: 400,   // backoff: base * 2^attempt (+ jitter)
+  // IANA zone of the clinic; server times without an offset are read as wall-clock times here
+  BUSINESS_TIMEZONE: 'Asia/Riyadh',
   SLOT_MIN_TIME: 8,  // grid start hour (8 => 8:00)
   SLOT_MAX_TIME: 17, // grid end hour (17 => 17:00)
   SLOT_DURATION_MIN: 30, // minutes per row
-  // whether to respect server-provided Register_Id on initial load.
+  GRID_PAGE_ROWS: 4, // PageUp / PageDown step in the grid
+  WIDE_GRID_COLUMNS: 12, // more columns than this: fixed-width columns, grid scrolls with sticky time/header
+  // Working hours used for every resource unless RESOURCE_SCHEDULES overrides them.
+  // hours: { weekday (0 = Sunday … 6 = Saturday): ['HH:MM','HH:MM'] | null (closed) };
+  // hours: null = every day SLOT_MIN_TIME–SLOT_MAX_TIME.
+  DEFAULT_SCHEDULE: {
+    hours: null,
+    breaks: [],      // e.g. [['12:00','13:00']] - lunch break on every open day
+    // appointment length the resource offers (null = SLOT_DURATION_MIN): the mock builds its slots from it,
+    // and the grid uses it for slots without a TimeTo
+    slotMinutes: null
+  },
+  // per-resource overrides keyed by resource ID, merged over DEFAULT_SCHEDULE, e.g.
+  // { '2': { hours: { 5: null, 6: null }, breaks: [['12:00','13:00']], slotMinutes: 60 } }
+  RESOURCE_SCHEDULES: {},
+  // whole-day closures / holidays; resourceId null = every resource, e.g.
+  // [{ date: '2025-12-25', resourceId: null, label: 'Holiday' }]
+  CLOSURES: [],
+  // whether a server booking (Register_Id = customer) found on load becomes the held booking that
+  // moves and "View Current" act on; such bookings are shown as yours either way.
   RESPECT_SERVER_REGISTERED: false,
   // Update endpoint (server provided)
-  UPDATE_ENDPOINT: '/Masterfit_Calender_Nutation_Update'
+  UPDATE_ENDPOINT: '/Masterfit_Calender_Nutation_Update',
+  // Register endpoint (books an available slot for the customer)
+  REGISTER_ENDPOINT: '/Masterfit_Calender_Nutation_Register',
+  // Reschedule endpoint (moves a booking from one appointment to another atomically)
+  RESCHEDULE_ENDPOINT: '/Masterfit_Calender_Nutation_Reschedule',
+  // Session endpoint: who the token belongs to and its role (the browser never picks the role)
+  SESSION_ENDPOINT: '/Masterfit_Session',
+  // Cancel endpoint (releases a booked slot)
+  CANCEL_ENDPOINT: '/Masterfit_Calender_Nutation_Cancel',
+  CANCEL_CUTOFF_HOURS: 12, // no cancellation within this many hours of TimeFrom
+  CANCEL_REASON_MAX: 300,  // max characters for the cancellation reason
+  // booking form (register step): client details sent with the registration
+  PHONE_PATTERN: /^(?:\+9665|05)\d{8}$/,          // checked after removing spaces, dashes and brackets
+  SUBSCRIPTION_PATTERN: /^[A-Za-z0-9-]{3,20}$/, // Register_Subscribe_Number, required
+  MIN_CLIENT_AGE: 12,      // years, from Birth_Date
+  BOOKING_NOTES_MAX: 500,  // max characters for notes given at booking
+  // booking rules, checked before the register / move dialog opens; null = no limit.
+  // Limits count the customer's bookings among the loaded slots - the server has to enforce them too.
+  BOOKING_RULES: {
+    minLeadMinutes: 60, // earliest bookable start: now + this
+    maxDaysAhead: 60,   // latest bookable date: today + this many days
+    maxPerDay: 1,       // active bookings per customer per day
+    maxPerWeek: 3,      // active bookings per customer per Monday–Sunday week
+    // eligibility per resource ID, e.g.
+    // { '3': { customers: [1, 2], label: 'Members only' }, '4': { minAge: 18 } }
+    resources: {}
+  },
+  // live refresh while the grid is open: 'poll' | 'sse' | 'ws' | 'off'
+  // (sse/ws fall back to polling in mock mode or when the browser lacks support)
+  LIVE_REFRESH: 'poll',
+  LIVE_POLL_MS: 30 * 1000,
+  LIVE_EVENTS_ENDPOINT: '/Masterfit_Calender_Events', // push channel for 'sse' / 'ws'
+  LIVE_FLASH_MS: 1600, // how long a slot that was just taken flashes
+  TOAST_MS: 5000, // how long notifications stay (errors twice as long)
+  // simulated network delay for the mock backend
+  MOCK_LATENCY_MS: 150
 };
 
 /* =========================
@@ -31,6 +102,13 @@ let MODE = localStorage.getItem('mode') || 'live'; // 'live' or 'mock'
 let resources = [];    // array of resource objects from API
 let slotsMap = {};     // map: resourceId -> array of slot objects for selected date
 let registeredSlot = null; // { Appoitment_Id, Resource_Id, TimeFrom, TimeTo } - current user's registered slot (session)
+let pendingMove = null;    // { from, to } slot objects while a reschedule awaits server confirmation
+let viewMode = localStorage.getItem('viewMode') || 'day'; // 'day' | 'week' | 'workweek'
+let timeDisplay = localStorage.getItem('timeDisplay') || 'business'; // 'business' | 'local' - zone times are shown in
+let lang = localStorage.getItem('lang') === 'ar' ? 'ar' : 'en'; // UI language
+let arabicDigits = localStorage.getItem('arabicDigits') !== '0'; // Arabic-Indic digits when lang is 'ar'
+let resourceFilter = '';   // '' = all resources, otherwise a resource ID (days become columns)
+let session = loadSession(); // { customerId, token } - signed-in customer for this browser session
 const $ = sel => document.querySelector(sel);
 
 /* ===============
@@ -43,467 +121,3314 @@ function setStatus(msg, isError = false) {
   el.style.color = isError ? '#8b0000' : '#222';
 }
 
-/* format hh:mm from ISO */
+/**
+ * Build an element without HTML parsing: h('p', { className: 'x' }, t('label'), ': ', h('strong', null, value)).
+ * Strings and numbers become text nodes, so API data can never turn into markup. Props that are
+ * element properties (className, value, disabled, ...) are assigned; others (role, aria-*, data-*)
+ * become attributes; on<event> functions become listeners. null / false props and children are skipped.
+ * Props that parse HTML (innerHTML, outerHTML, srcdoc) throw: pass children instead.
+ */
+const RAW_HTML_PROPS = ['innerHTML', 'outerHTML', 'srcdoc'];
+
+function h(tag, props, ...children) {
+  const el = document.createElement(tag);
+  Object.entries(props || {}).forEach(([k, v]) => {
+    if (RAW_HTML_PROPS.includes(k)) throw new TypeError(`h(): '${k}' is not allowed, pass children instead`);
+    if (v == null || v === false) return;
+    if (/^on[a-z]/.test(k) && typeof v === 'function') el.addEventListener(k.slice(2), v);
+    else if (k in el && !k.includes('-')) el[k] = v;
+    else el.setAttribute(k, v === true ? '' : String(v));
+  });
+  el.append(...children.flat(Infinity).filter(c => c != null && c !== false).map(c => (c instanceof Node ? c : String(c))));
+  return el;
+}
+
+/* catalog text with *emphasis* as <strong> (still text nodes only) */
+function tRich(key, vars) {
+  return t(key, vars).split(/\*([^*]+)\*/).map((part, i) => (i % 2 ? h('strong', null, part) : part));
+}
+
+/* short message in the aria-live toast stack (replaces alert()); kind: 'info' | 'success' | 'error' */
+function toast(msg, kind = 'info') {
+  const box = h('div', { className: `toast toast-${kind}`, role: kind === 'error' ? 'alert' : null }, // errors are read out immediately
+    h('span', null, msg),
+    h('button', { type: 'button', className: 'toast-close', 'aria-label': t('view.close'), onclick: () => box.remove() }, '×'));
+  $('#toasts').appendChild(box);
+  setTimeout(() => box.remove(), kind === 'error' ? CONFIG.TOAST_MS * 2 : CONFIG.TOAST_MS);
+}
+
+/* ---- dialogs: open stack with focus return, Escape and a Tab focus trap ---- */
+const dialogStack = []; // { el, returnFocus, onEscape }, topmost last
+const FOCUSABLE = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function focusableIn(el) {
+  return [...el.querySelectorAll(FOCUSABLE)].filter(x => !x.closest('[hidden]'));
+}
+
+/* show a .modal; focus goes to its first control (not the × button) and comes back on hideDialog */
+function showDialog(el, onEscape = null) {
+  const open = dialogStack.find(d => d.el === el);
+  if (open) open.onEscape = onEscape;
+  else dialogStack.push({ el, returnFocus: document.activeElement, onEscape });
+  el.setAttribute('aria-hidden','false');
+  el.style.visibility = 'visible';
+  el.style.opacity = '1';
+  if (el.contains(document.activeElement)) return;
+  const controls = focusableIn(el);
+  const first = controls.find(x => !x.classList.contains('modal-close')) || controls[0];
+  if (first) first.focus();
+}
+
+function hideDialog(el) {
+  el.setAttribute('aria-hidden','true');
+  el.style.visibility = 'hidden';
+  el.style.opacity = '0';
+  const i = dialogStack.findIndex(d => d.el === el);
+  if (i < 0) return;
+  const [closed] = dialogStack.splice(i, 1);
+  const back = closed.returnFocus;
+  if (back && document.body.contains(back) && !back.closest('.modal[aria-hidden="true"]')) back.focus();
+}
+
+document.addEventListener('keydown', (e) => {
+  const top = dialogStack[dialogStack.length - 1];
+  if (!top) return;
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    if (top.onEscape) top.onEscape();
+    return;
+  }
+  if (e.key !== 'Tab') return;
+  // keep Tab inside the dialog
+  const controls = focusableIn(top.el);
+  if (!controls.length) { e.preventDefault(); return; }
+  const first = controls[0];
+  const last = controls[controls.length - 1];
+  if (!top.el.contains(document.activeElement)) { e.preventDefault(); first.focus(); }
+  else if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+  else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+});
+
+/* ====================
+   Time zones
+   Server timestamps without an offset ("2025-11-07T08:00:00") are wall-clock
+   times in CONFIG.BUSINESS_TIMEZONE; ones with Z/±hh:mm are absolute instants.
+   The grid is always laid out in business time; timeDisplay only changes how
+   times are printed.
+   ==================== */
+const tzFormatters = new Map(); // time zone -> Intl.DateTimeFormat (construction is slow)
+
+function tzFormatter(tz) {
+  if (!tzFormatters.has(tz)) {
+    tzFormatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return tzFormatters.get(tz);
+}
+
+/* wall-clock parts of an instant (ms) in a time zone */
+function zonedParts(ms, tz = CONFIG.BUSINESS_TIMEZONE) {
+  const p = {};
+  tzFormatter(tz).formatToParts(new Date(ms)).forEach(({ type, value }) => { p[type] = parseInt(value, 10); });
+  return { y: p.year, m: p.month, d: p.day, h: p.hour % 24, mi: p.minute, s: p.second };
+}
+
+/* offset of tz from UTC at an instant, in minutes (Riyadh => 180) */
+function tzOffsetMinutes(ms, tz = CONFIG.BUSINESS_TIMEZONE) {
+  const p = zonedParts(ms, tz);
+  return (Date.UTC(p.y, p.m - 1, p.d, p.h, p.mi, p.s) - Math.floor(ms / 1000) * 1000) / 60000;
+}
+
+/* instant (ms) of a business wall-clock time; minutes since midnight may exceed 24h.
+   Wall times skipped by a DST jump resolve forward, repeated ones to the first occurrence. */
+function businessInstant(dateStr, minutes = 0, seconds = 0) {
+  const [y, m, d] = dateStr.split('-').map(s => parseInt(s, 10));
+  const wallUtc = Date.UTC(y, m - 1, d, 0, minutes, seconds);
+  const first = wallUtc - tzOffsetMinutes(wallUtc) * 60000;
+  const ms = wallUtc - tzOffsetMinutes(first) * 60000; // second pass settles offsets near a transition
+  // no round trip => the wall time falls in a DST gap; take the later candidate
+  return tzOffsetMinutes(ms) === (wallUtc - ms) / 60000 ? ms : Math.max(first, ms);
+}
+
+const ISO_WALL_RE = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/* Date for a server timestamp (see above); Invalid Date when unparseable */
+function toInstant(iso) {
+  const m = ISO_WALL_RE.exec(String(iso || '').trim());
+  if (!m) return new Date(NaN);
+  if (m[5]) return new Date(iso);
+  return new Date(businessInstant(m[1], (+m[2] || 0) * 60 + (+m[3] || 0), +m[4] || 0));
+}
+
+/* business-zone { dateStr, minutes } of a server timestamp */
+function wallTime(iso) {
+  const m = ISO_WALL_RE.exec(String(iso || '').trim());
+  if (m && !m[5]) return { dateStr: m[1], minutes: (+m[2] || 0) * 60 + (+m[3] || 0) };
+  const t = toInstant(iso).getTime();
+  if (isNaN(t)) return { dateStr: '', minutes: 0 };
+  const p = zonedParts(t);
+  return { dateStr: ymdString(p.y, p.m, p.d), minutes: p.h * 60 + p.mi };
+}
+
+/* business date (yyyy-mm-dd) a server timestamp falls on */
+function slotDateStr(iso) {
+  return wallTime(iso).dateStr;
+}
+
+/* minutes since business-zone midnight for a server timestamp */
+function minutesOfDay(iso) {
+  return wallTime(iso).minutes;
+}
+
+/* minutes between two server timestamps (real elapsed time, DST-safe) */
+function minutesBetween(fromIso, toIso) {
+  return (toInstant(toIso) - toInstant(fromIso)) / 60000;
+}
+
+/* today's date in the business zone */
+function todayStr() {
+  const p = zonedParts(Date.now());
+  return ymdString(p.y, p.m, p.d);
+}
+
+/* zone times are printed in: the business zone, or undefined = the viewer's own */
+function displayTimeZone() {
+  return timeDisplay === 'local' ? undefined : CONFIG.BUSINESS_TIMEZONE;
+}
+
+/* format hh:mm from a server timestamp or Date, in the display zone */
 function fmtTime(iso) {
+  const d = iso instanceof Date ? iso : toInstant(iso);
+  if (isNaN(d.getTime())) return String(iso);
+  return d.toLocaleTimeString(uiLocale(), { hour: '2-digit', minute: '2-digit', timeZone: displayTimeZone() });
+}
+
+/* short name of the display zone for labels, e.g. "GMT+3" */
+function displayZoneLabel() {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone: displayTimeZone(), timeZoneName: 'short' })
+    .formatToParts(new Date()).find(p => p.type === 'timeZoneName');
+  return part ? part.value : '';
+}
+
+/* ====================
+   Calendar dates (yyyy-mm-dd)
+   Pure calendar arithmetic on UTC noon so neither the viewer's zone nor DST
+   can shift a date.
+   ==================== */
+function ymdString(y, m, d) {
+  return `${y}-${String(m).padStart(2,'0')}-${String(d).padStart(2,'0')}`;
+}
+
+/* parse yyyy-mm-dd as a Date at UTC noon (new Date('yyyy-mm-dd') is UTC midnight,
+   which is the previous day west of Greenwich); read it back with getUTC* / timeZone 'UTC' */
+function parseDateStr(dateStr) {
+  const [y,m,d] = dateStr.split('-').map(s => parseInt(s,10));
+  return new Date(Date.UTC(y, m-1, d, 12));
+}
+
+/* weekday of a date, 0 = Sunday … 6 = Saturday */
+function weekdayOf(dateStr) {
+  return parseDateStr(dateStr).getUTCDay();
+}
+
+/* nice display format for left-side dynamic date:
+   "Friday, November 07 2025" */
+function formatDisplayDateStr(dateStr) {
+  const d = parseDateStr(dateStr);
+  if (isNaN(d.getTime())) return dateStr;
+  const opts = { weekday: 'long', month: 'long', day: '2-digit', year: 'numeric', timeZone: 'UTC' };
+  // "Friday, November 07, 2025" - remove comma before year to match "Friday, November 07 2025"
+  const s = d.toLocaleDateString(uiLocale(), opts);
+  return lang === 'en' ? s.replace(/, (\d{4})$/, ' $1') : s;
+}
+
+/* yyyy-mm-dd shifted by n calendar days */
+function addDaysStr(dateStr, n) {
+  const d = parseDateStr(dateStr);
+  d.setUTCDate(d.getUTCDate() + n);
+  return ymdString(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+}
+
+/* short column label: "Mon, Nov 03" */
+function formatShortDateStr(dateStr) {
+  return parseDateStr(dateStr).toLocaleDateString(uiLocale(), { weekday: 'short', month: 'short', day: '2-digit', timeZone: 'UTC' });
+}
+
+/* dates (yyyy-mm-dd) covered by the view containing dateStr.
+   week = Monday..Sunday, workweek = Monday..Friday */
+function rangeDates(dateStr, mode = viewMode) {
+  if (mode !== 'week' && mode !== 'workweek') return [dateStr];
+  const monday = addDaysStr(dateStr, -((weekdayOf(dateStr) + 6) % 7));
+  const len = mode === 'week' ? 7 : 5;
+  return Array.from({ length: len }, (_, i) => addDaysStr(monday, i));
+}
+
+/* days prev/next should move for the current view */
+function viewStepDays(mode = viewMode) {
+  return (mode === 'week' || mode === 'workweek') ? 7 : 1;
+}
+
+/* header text for the current view: single date or "Mon, Nov 03 – Sun, Nov 09 2025" */
+function formatDisplayRange(dateStr) {
+  const dates = rangeDates(dateStr);
+  if (dates.length === 1) return formatDisplayDateStr(dateStr);
+  const last = dates[dates.length - 1];
+  const year = parseDateStr(last).toLocaleDateString(uiLocale(), { year: 'numeric', timeZone: 'UTC' });
+  return `${formatShortDateStr(dates[0])} – ${formatShortDateStr(last)} ${year}`;
+}
+
+/* generate row times (business-zone minutes since midnight) from fromMin (inclusive)
+   to toMin (exclusive); defaults to SLOT_MIN_TIME–SLOT_MAX_TIME */
+function generateRowTimes(fromMin = CONFIG.SLOT_MIN_TIME * 60, toMin = CONFIG.SLOT_MAX_TIME * 60) {
+  const rows = [];
+  const step = CONFIG.SLOT_DURATION_MIN;
+  for (let mins = fromMin; mins < toMin; mins += step) rows.push(mins);
+  return rows;
+}
+
+/* length of a slot on the grid: wall-clock minutes, so a slot keeps its row span on DST days;
+   0 when TimeTo is missing or not after TimeFrom (callers fall back to the resource's slot length) */
+function slotSpanMinutes(slot) {
+  const from = wallTime(slot.TimeFrom), to = wallTime(slot.TimeTo);
+  const days = (parseDateStr(to.dateStr || from.dateStr) - parseDateStr(from.dateStr)) / 86400000;
+  return Math.max(0, days * 24 * 60 + to.minutes - from.minutes) || 0;
+}
+
+/* ====================
+   Localization (English / Arabic)
+   t(key, vars) looks the key up in the active catalog (falling back to English);
+   {name} placeholders are filled from vars, numbers in the active locale's digits.
+   Catalog strings are plain text and always inserted as text (textContent / h() children), never as HTML.
+   ==================== */
+const I18N = {
+  en: {
+    'top.title': 'Booking Grid',
+    'top.subtitle': 'Select date and book slots across resources',
+    'top.mode': 'Mode',
+    'top.modeLive': 'Live',
+    'top.modeMock': 'Mock (offline)',
+    'top.mockReset': 'Reset Mock',
+    'top.mockResetTitle': 'Clear bookings made in mock mode',
+    'top.date': 'Date',
+    'top.times': 'Times',
+    'top.timesBusiness': 'Clinic time ({zone})',
+    'top.timesLocal': 'My local time',
+    'top.language': 'Language',
+    'top.arabicDigits': 'Arabic-Indic digits',
+    'top.load': 'Load Grid',
+    'top.signOut': 'Sign out',
+    'status.ready': 'Ready',
+    'nav.resource': 'Resource',
+    'nav.allResources': 'All resources',
+    'nav.view': 'View',
+    'nav.day': 'Day',
+    'nav.workweek': 'Work week',
+    'nav.week': 'Week',
+    'nav.findSlot': 'Find slot',
+    'nav.findSlotTitle': 'Find next available slot',
+    'nav.prev': '<',
+    'nav.prevTitle': 'Previous period',
+    'nav.next': '>',
+    'nav.nextTitle': 'Next period',
+    'bulk.count': '{n} selected',
+    'bulk.accept': 'Accept selected',
+    'bulk.reject': 'Reject selected',
+    'bulk.clear': 'Clear',
+    'bulk.sending': 'Sending {n} update(s)...',
+    'bulk.failed': 'failed: {error}',
+    'bulk.summary.2': '{ok} of {n} appointment(s) accepted',
+    'bulk.summary.3': '{ok} of {n} appointment(s) rejected',
+    'search.title': 'Find next available slot',
+    'search.resource': 'Resource',
+    'search.anyResource': 'Any resource',
+    'search.fromDate': 'From date',
+    'search.toDate': 'To date',
+    'search.earliest': 'Earliest time',
+    'search.latest': 'Latest time',
+    'search.duration': 'Min. duration (min)',
+    'search.limit': 'Show first',
+    'search.submit': 'Search',
+    'search.stop': 'Stop',
+    'search.none': 'No free slots match these filters.',
+    'search.goTo': 'Go to date',
+    'search.register': 'Register',
+    'search.invalid': 'Check the date range and time window.',
+    'search.progress': 'Searching {date}…',
+    'search.foundOne': '{n} match found',
+    'search.foundMany': '{n} matches found',
+    'search.capped': ' (searched first {days} days)',
+    'search.stopped': 'Search stopped',
+    'search.gone': 'That slot is no longer available',
+    'grid.empty': 'No resources or slots available for the selected date.',
+    'grid.noResources': 'No resources available',
+    'grid.noResourcesReturned': 'No resources returned',
+    'grid.loaded': 'Grid loaded — {n} resources',
+    'grid.loadedDays': 'Grid loaded — {n} resources × {days} days',
+    'grid.loadingResources': 'Loading resources...',
+    'grid.loadingSlots': 'Loading slots for all resources...',
+    'grid.loadingDays': 'Loading slots for {days} days...',
+    'grid.loadFailed': 'Failed to load grid — {error}',
+    'resource.fallback': 'Res {id}',
+    'closed.closed': 'Closed',
+    'closed.outside': 'Outside working hours',
+    'closed.break': 'Break',
+    'slot.moving': 'Moving…',
+    'slot.releasing': 'Releasing…',
+    'slot.unknownClient': 'Unknown client',
+    'slot.selectTitle': 'Select for bulk action',
+    'slot.selectAria': 'Select appointment {id}',
+    'slot.cancel': 'Cancel booking',
+    'slot.dragHint': 'Drag to another slot to move your booking (or press M)',
+    'slot.unavailable': 'That slot is not available.',
+    'slot.alreadyMine': 'This slot is already registered for you.',
+    'slot.beingMoved': 'This booking is being moved — waiting for server...',
+    'status.1': 'Pending',
+    'status.2': 'Accepted',
+    'status.3': 'Rejected',
+    'status.available': 'Available',
+    'status.registered': 'Registered',
+    'statusAction.1': 'Pending',
+    'statusAction.2': 'Accept',
+    'statusAction.3': 'Reject',
+    'move.mode': 'Move mode: choose a free slot (Tab + Enter, or click). Esc cancels.',
+    'move.cancelled': 'Move cancelled',
+    'move.multiHint': 'You already have a booking — click a single slot to move it.',
+    'move.noRoom': 'Your booking is longer than the free time starting at that slot.',
+    'move.busy': 'Another move is still waiting for the server.',
+    'move.pending': 'Moving booking — waiting for server...',
+    'move.done': 'Booking moved — server responded success.',
+    'move.failedStatus': 'Move failed ({error}) — original booking restored',
+    'move.failed': 'Move failed: {error}',
+    'modal.confirm': 'Confirm',
+    'modal.resource': 'Resource',
+    'modal.slotTime': 'Slot time',
+    'modal.consecutive': '({n} consecutive slots)',
+    'modal.customerId': 'Customer ID',
+    'modal.action': 'Action',
+    'modal.cancel': 'Cancel',
+    'modal.viewDetails': 'View Details',
+    'modal.register.title': 'Register Appointment',
+    'modal.register.action': 'This will *book this slot* for you on the server.',
+    'modal.register.confirm': 'Register',
+    'modal.move.title': 'Move Appointment',
+    'modal.move.current': 'Current registration',
+    'modal.move.currentFallback': '(current registration)',
+    'modal.move.newSlot': 'New slot',
+    'modal.move.action': 'This will *move your registration* to the new slot in a single server request. Your current slot is restored if the server rejects the move.',
+    'modal.move.viewCurrent': 'View Current',
+    'modal.move.viewNew': 'View New',
+    'modal.move.confirm': 'Move Booking',
+    'modal.move.noCurrent': 'No current registration available.',
+    'modal.cancel.title': 'Cancel Appointment',
+    'modal.cancel.appointment': 'Appointment',
+    'modal.cancel.onDate': 'on {date}',
+    'modal.cancel.reason': 'Reason for cancelling',
+    'modal.cancel.confirm': 'Cancel Booking',
+    'modal.cancel.keep': 'Keep Booking',
+    'policy.noStart': 'This appointment has no valid start time.',
+    'policy.started': 'This appointment has already started.',
+    'policy.cutoff': "Bookings can't be cancelled within {hours} hours of the start time. Please contact the front desk.",
+    'policy.free': 'Free cancellation until {hours} hours before the start time.',
+    'cancel.reasonRequired': 'Please tell us why you are cancelling.',
+    'cancel.sending': 'Sending cancellation to server...',
+    'cancel.done': 'Booking cancelled — the slot is available again.',
+    'cancel.failedStatus': 'Cancellation failed — {error}',
+    'cancel.failed': 'Cancellation failed: {error}',
+    'register.sending': 'Sending registration to server...',
+    'register.done': 'Registered — server responded success.',
+    'register.failedStatus': 'Registration failed — {error}',
+    'register.failed': 'Registration failed: {error}',
+    'error.seeConsole': 'see console for details',
+    'error.timeout': 'network timeout — server did not answer',
+    'error.network': 'network error — check your connection',
+    'error.http': 'server error (HTTP {status})',
+    'error.rejected': 'rejected by server: {message}',
+    'error.unexpected': 'unexpected error',
+    'view.title': 'Appointment Details',
+    'view.none': 'No details available for this selection.',
+    'view.appointmentNo': 'Appointment No',
+    'view.resourceId': 'Resource ID',
+    'view.resource': 'Resource',
+    'view.date': 'Appointment Date',
+    'view.timeFrom': 'Time From',
+    'view.timeTo': 'Time To',
+    'view.time': 'Time',
+    'view.status': 'Status',
+    'view.registeredUser': 'Registered User ID',
+    'view.subscribeNo': 'Register Subscribe No',
+    'view.fullName': 'Full Name',
+    'view.phone': 'Phone',
+    'view.birthDate': 'Birth Date',
+    'view.color': 'Color',
+    'view.notes': 'Notes',
+    'view.update': 'Update (send)',
+    'view.close': 'Close',
+    'view.missingId': 'Appointment_Id is missing — cannot update.',
+    'view.sending': 'Sending update to server...',
+    'view.saved': 'Update saved — server responded success.',
+    'view.success': 'Update successful.',
+    'view.failed': 'Update failed',
+    'view.failedMsg': 'Update failed: {error}',
+    'view.failedStatus': 'Update failed — {error}',
+    'view.unknownResponse': 'Unknown response from server',
+    'view.sendFailed': 'Failed to send update. See console for details (CORS/SSL issues possible).',
+    'session.customer': 'Customer #{id}',
+    'session.staff': 'Staff #{id}',
+    'signIn.title': 'Sign in',
+    'signIn.id': 'Customer / Staff ID',
+    'signIn.token': 'Access token (optional)',
+    'signIn.submit': 'Sign in',
+    'signIn.invalid': 'Please enter a valid customer ID.',
+    'signIn.done': 'Signed in as customer #{id}',
+    'signIn.doneStaff': 'Signed in as staff #{id}',
+    'signIn.rejected': 'Sign-in failed: {error}',
+    'signIn.prompt': 'Please sign in to view and book slots',
+    'signOut.done': 'Signed out',
+    'auth.denied': 'Access denied for this customer — please sign in again.',
+    'auth.expired': 'Your session has expired — please sign in again.',
+    'mode.switchedLive': 'Switched to live backend',
+    'mode.switchedMock': 'Switched to mock (offline) backend',
+    'mock.cleared': 'Mock bookings cleared',
+    'time.shownBusiness': 'Times shown in clinic time ({zone})',
+    'time.shownLocal': 'Times shown in your local time ({zone})',
+    'live.taken': '{n} slot(s) were just booked by someone else',
+    'live.modalTaken': 'This slot was just booked by someone else. Please close this dialog and choose another slot.',
+    'export.addToCalendar': 'Add to calendar',
+    'export.day': 'Export day',
+    'export.csv': 'Spreadsheet (CSV)',
+    'export.ics': 'Calendar (.ics)',
+    'export.eventSummary': 'Appointment — {resource}',
+    'export.eventDescription': 'Appointment #{id}',
+    'export.empty': 'Nothing to export for this date.',
+    'export.done': 'Exported {n} slot(s).',
+    'roster.open': 'Print schedule',
+    'roster.openTitle': 'Printable schedule per resource',
+    'roster.title': 'Schedule',
+    'roster.print': 'Print',
+    'roster.status': 'Status',
+    'roster.all': 'All slots',
+    'roster.booked': 'All appointments',
+    'roster.none': 'No appointments.',
+    'url.notFound': 'Appointment #{id} is not on the shown date(s).',
+    'grid.time': 'Time',
+    'grid.label': 'Booking grid',
+    'booking.title': 'Your details',
+    'booking.invalid': 'Please correct the highlighted fields.',
+    'booking.err.name': 'Please enter your full name.',
+    'booking.err.phone': 'Enter a mobile number like 05xxxxxxxx or +9665xxxxxxxx.',
+    'booking.err.birthDate': 'Please enter a valid birth date.',
+    'booking.err.birthFuture': 'The birth date cannot be in the future.',
+    'booking.err.age': 'Clients must be at least {min} years old.',
+    'booking.err.subscribeRequired': 'The subscription number is required.',
+    'booking.err.subscribe': 'Use 3–20 letters, digits or dashes.',
+    'booking.err.notes': 'Notes can be at most {max} characters.',
+    'rules.past': 'This time has already started.',
+    'rules.leadTime': 'Bookings must be made at least {minutes} minutes in advance.',
+    'rules.horizon': 'Bookings can be made up to {days} days ahead.',
+    'rules.notEligible': 'This resource is not available for your account.',
+    'rules.minAge': 'This resource is for clients aged {min} or older.',
+    'rules.perDay': 'You can have at most {n} active booking(s) per day.',
+    'rules.perWeek': 'You can have at most {n} active booking(s) per week.',
+    'mine.open': 'My appointments',
+    'mine.openTitle': 'All my upcoming and past bookings',
+    'mine.title': 'My appointments',
+    'mine.from': 'From date',
+    'mine.to': 'To date',
+    'mine.refresh': 'Refresh',
+    'mine.upcoming': 'Upcoming',
+    'mine.past': 'Past',
+    'mine.progress': 'Checking {date}…',
+    'mine.found': '{n} booking(s) found.',
+    'mine.capped': ' Only the first {days} days were checked.',
+    'mine.failedDays': ' {n} day(s) could not be loaded.',
+    'mine.invalid': 'Please choose a valid date range.',
+    'mine.noneUpcoming': 'No upcoming bookings.',
+    'mine.nonePast': 'No past bookings in this range.',
+    'mine.view': 'View',
+    'mine.reschedule': 'Reschedule',
+    'mine.showOnGrid': 'Show this date on the grid',
+    'mine.gone': 'That booking is no longer yours on the server.',
+    'footer.note': "Designed to match the client's recommended grid style. Register & update are sent to the MasterFit server endpoints."
+  },
+  ar: {
+    'top.title': 'جدول الحجوزات',
+    'top.subtitle': 'اختر التاريخ واحجز المواعيد عبر الموارد',
+    'top.mode': 'الوضع',
+    'top.modeLive': 'مباشر',
+    'top.modeMock': 'تجريبي (دون اتصال)',
+    'top.mockReset': 'إعادة ضبط التجريبي',
+    'top.mockResetTitle': 'مسح الحجوزات التي تمت في الوضع التجريبي',
+    'top.date': 'التاريخ',
+    'top.times': 'الأوقات',
+    'top.timesBusiness': 'توقيت العيادة ({zone})',
+    'top.timesLocal': 'توقيتي المحلي',
+    'top.language': 'اللغة',
+    'top.arabicDigits': 'أرقام عربية هندية (٠١٢)',
+    'top.load': 'تحميل الجدول',
+    'top.signOut': 'تسجيل الخروج',
+    'status.ready': 'جاهز',
+    'nav.resource': 'المورد',
+    'nav.allResources': 'كل الموارد',
+    'nav.view': 'العرض',
+    'nav.day': 'يوم',
+    'nav.workweek': 'أسبوع العمل',
+    'nav.week': 'أسبوع',
+    'nav.findSlot': 'ابحث عن موعد',
+    'nav.findSlotTitle': 'البحث عن أقرب موعد متاح',
+    'nav.prev': '<', // same glyphs as English: bidi mirroring flips them in RTL
+    'nav.prevTitle': 'الفترة السابقة',
+    'nav.next': '>',
+    'nav.nextTitle': 'الفترة التالية',
+    'bulk.count': 'تم تحديد {n}',
+    'bulk.accept': 'قبول المحدد',
+    'bulk.reject': 'رفض المحدد',
+    'bulk.clear': 'مسح',
+    'bulk.sending': 'جارٍ إرسال {n} تحديث...',
+    'bulk.failed': 'فشل: {error}',
+    'bulk.summary.2': 'تم قبول {ok} من {n} موعد',
+    'bulk.summary.3': 'تم رفض {ok} من {n} موعد',
+    'search.title': 'البحث عن أقرب موعد متاح',
+    'search.resource': 'المورد',
+    'search.anyResource': 'أي مورد',
+    'search.fromDate': 'من تاريخ',
+    'search.toDate': 'إلى تاريخ',
+    'search.earliest': 'أبكر وقت',
+    'search.latest': 'آخر وقت',
+    'search.duration': 'أقل مدة (دقيقة)',
+    'search.limit': 'عرض أول',
+    'search.submit': 'بحث',
+    'search.stop': 'إيقاف',
+    'search.none': 'لا توجد مواعيد متاحة تطابق هذه المعايير.',
+    'search.goTo': 'الانتقال إلى التاريخ',
+    'search.register': 'حجز',
+    'search.invalid': 'تحقق من نطاق التاريخ والفترة الزمنية.',
+    'search.progress': 'جارٍ البحث في {date}…',
+    'search.foundOne': 'تم العثور على نتيجة واحدة',
+    'search.foundMany': 'تم العثور على {n} نتائج',
+    'search.capped': ' (تم البحث في أول {days} يومًا)',
+    'search.stopped': 'تم إيقاف البحث',
+    'search.gone': 'هذا الموعد لم يعد متاحًا',
+    'grid.empty': 'لا توجد موارد أو مواعيد متاحة للتاريخ المحدد.',
+    'grid.noResources': 'لا توجد موارد متاحة',
+    'grid.noResourcesReturned': 'لم يُرجع الخادم أي موارد',
+    'grid.loaded': 'تم تحميل الجدول — {n} موارد',
+    'grid.loadedDays': 'تم تحميل الجدول — {n} موارد × {days} أيام',
+    'grid.loadingResources': 'جارٍ تحميل الموارد...',
+    'grid.loadingSlots': 'جارٍ تحميل المواعيد لكل الموارد...',
+    'grid.loadingDays': 'جارٍ تحميل المواعيد لمدة {days} أيام...',
+    'grid.loadFailed': 'تعذر تحميل الجدول — {error}',
+    'resource.fallback': 'مورد {id}',
+    'closed.closed': 'مغلق',
+    'closed.outside': 'خارج ساعات العمل',
+    'closed.break': 'استراحة',
+    'slot.moving': 'جارٍ النقل…',
+    'slot.releasing': 'جارٍ التحرير…',
+    'slot.unknownClient': 'عميل غير معروف',
+    'slot.selectTitle': 'تحديد لإجراء جماعي',
+    'slot.selectAria': 'تحديد الموعد {id}',
+    'slot.cancel': 'إلغاء الحجز',
+    'slot.dragHint': 'اسحب إلى موعد آخر لنقل حجزك (أو اضغط M)',
+    'slot.unavailable': 'هذا الموعد غير متاح.',
+    'slot.alreadyMine': 'هذا الموعد محجوز لك بالفعل.',
+    'slot.beingMoved': 'جارٍ نقل هذا الحجز — بانتظار الخادم...',
+    'status.1': 'قيد الانتظار',
+    'status.2': 'مقبول',
+    'status.3': 'مرفوض',
+    'status.available': 'متاح',
+    'status.registered': 'محجوز',
+    'statusAction.1': 'قيد الانتظار',
+    'statusAction.2': 'قبول',
+    'statusAction.3': 'رفض',
+    'move.mode': 'وضع النقل: اختر موعدًا متاحًا (Tab ثم Enter، أو انقر). Esc للإلغاء.',
+    'move.cancelled': 'تم إلغاء النقل',
+    'move.multiHint': 'لديك حجز بالفعل — انقر على موعد واحد لنقله.',
+    'move.noRoom': 'حجزك أطول من الوقت المتاح بدءًا من هذا الموعد.',
+    'move.busy': 'هناك عملية نقل أخرى بانتظار الخادم.',
+    'move.pending': 'جارٍ نقل الحجز — بانتظار الخادم...',
+    'move.done': 'تم نقل الحجز — استجاب الخادم بنجاح.',
+    'move.failedStatus': 'فشل النقل ({error}) — تمت استعادة الحجز الأصلي',
+    'move.failed': 'فشل النقل: {error}',
+    'modal.confirm': 'تأكيد',
+    'modal.resource': 'المورد',
+    'modal.slotTime': 'وقت الموعد',
+    'modal.consecutive': '({n} مواعيد متتالية)',
+    'modal.customerId': 'رقم العميل',
+    'modal.action': 'الإجراء',
+    'modal.cancel': 'إلغاء',
+    'modal.viewDetails': 'عرض التفاصيل',
+    'modal.register.title': 'حجز موعد',
+    'modal.register.action': 'سيتم *حجز هذا الموعد* لك على الخادم.',
+    'modal.register.confirm': 'حجز',
+    'modal.move.title': 'نقل الموعد',
+    'modal.move.current': 'الحجز الحالي',
+    'modal.move.currentFallback': '(الحجز الحالي)',
+    'modal.move.newSlot': 'الموعد الجديد',
+    'modal.move.action': 'سيتم *نقل حجزك* إلى الموعد الجديد بطلب واحد إلى الخادم. تتم استعادة موعدك الحالي إذا رفض الخادم النقل.',
+    'modal.move.viewCurrent': 'عرض الحالي',
+    'modal.move.viewNew': 'عرض الجديد',
+    'modal.move.confirm': 'نقل الحجز',
+    'modal.move.noCurrent': 'لا يوجد حجز حالي.',
+    'modal.cancel.title': 'إلغاء الموعد',
+    'modal.cancel.appointment': 'الموعد',
+    'modal.cancel.onDate': 'بتاريخ {date}',
+    'modal.cancel.reason': 'سبب الإلغاء',
+    'modal.cancel.confirm': 'إلغاء الحجز',
+    'modal.cancel.keep': 'الإبقاء على الحجز',
+    'policy.noStart': 'لا يوجد وقت بدء صالح لهذا الموعد.',
+    'policy.started': 'لقد بدأ هذا الموعد بالفعل.',
+    'policy.cutoff': 'لا يمكن إلغاء الحجز خلال {hours} ساعة من وقت البدء. يرجى التواصل مع الاستقبال.',
+    'policy.free': 'الإلغاء مجاني حتى {hours} ساعة قبل وقت البدء.',
+    'cancel.reasonRequired': 'يرجى ذكر سبب الإلغاء.',
+    'cancel.sending': 'جارٍ إرسال الإلغاء إلى الخادم...',
+    'cancel.done': 'تم إلغاء الحجز — الموعد متاح مرة أخرى.',
+    'cancel.failedStatus': 'فشل الإلغاء — {error}',
+    'cancel.failed': 'فشل الإلغاء: {error}',
+    'register.sending': 'جارٍ إرسال الحجز إلى الخادم...',
+    'register.done': 'تم الحجز — استجاب الخادم بنجاح.',
+    'register.failedStatus': 'فشل الحجز — {error}',
+    'register.failed': 'فشل الحجز: {error}',
+    'error.seeConsole': 'راجع وحدة التحكم للتفاصيل',
+    'error.timeout': 'انتهت مهلة الشبكة — لم يستجب الخادم',
+    'error.network': 'خطأ في الشبكة — تحقق من اتصالك',
+    'error.http': 'خطأ في الخادم (HTTP {status})',
+    'error.rejected': 'رفض الخادم الطلب: {message}',
+    'error.unexpected': 'خطأ غير متوقع',
+    'view.title': 'تفاصيل الموعد',
+    'view.none': 'لا توجد تفاصيل متاحة لهذا الاختيار.',
+    'view.appointmentNo': 'رقم الموعد',
+    'view.resourceId': 'رقم المورد',
+    'view.resource': 'المورد',
+    'view.date': 'تاريخ الموعد',
+    'view.timeFrom': 'من الساعة',
+    'view.timeTo': 'إلى الساعة',
+    'view.time': 'الوقت',
+    'view.status': 'الحالة',
+    'view.registeredUser': 'رقم المستخدم المسجل',
+    'view.subscribeNo': 'رقم الاشتراك',
+    'view.fullName': 'الاسم الكامل',
+    'view.phone': 'الهاتف',
+    'view.birthDate': 'تاريخ الميلاد',
+    'view.color': 'اللون',
+    'view.notes': 'ملاحظات',
+    'view.update': 'تحديث (إرسال)',
+    'view.close': 'إغلاق',
+    'view.missingId': 'رقم الموعد مفقود — لا يمكن التحديث.',
+    'view.sending': 'جارٍ إرسال التحديث إلى الخادم...',
+    'view.saved': 'تم حفظ التحديث — استجاب الخادم بنجاح.',
+    'view.success': 'تم التحديث بنجاح.',
+    'view.failed': 'فشل التحديث',
+    'view.failedMsg': 'فشل التحديث: {error}',
+    'view.failedStatus': 'فشل التحديث — {error}',
+    'view.unknownResponse': 'رد غير معروف من الخادم',
+    'view.sendFailed': 'تعذر إرسال التحديث. راجع وحدة التحكم للتفاصيل (قد تكون مشكلة CORS/SSL).',
+    'session.customer': 'عميل #{id}',
+    'session.staff': 'موظف #{id}',
+    'signIn.title': 'تسجيل الدخول',
+    'signIn.id': 'رقم العميل / الموظف',
+    'signIn.token': 'رمز الوصول (اختياري)',
+    'signIn.submit': 'دخول',
+    'signIn.invalid': 'يرجى إدخال رقم عميل صحيح.',
+    'signIn.done': 'تم تسجيل الدخول كعميل #{id}',
+    'signIn.doneStaff': 'تم تسجيل الدخول كموظف #{id}',
+    'signIn.rejected': 'تعذر تسجيل الدخول: {error}',
+    'signIn.prompt': 'يرجى تسجيل الدخول لعرض المواعيد وحجزها',
+    'signOut.done': 'تم تسجيل الخروج',
+    'auth.denied': 'تم رفض الوصول لهذا العميل — يرجى تسجيل الدخول مرة أخرى.',
+    'auth.expired': 'انتهت جلستك — يرجى تسجيل الدخول مرة أخرى.',
+    'mode.switchedLive': 'تم التبديل إلى الخادم المباشر',
+    'mode.switchedMock': 'تم التبديل إلى الخادم التجريبي (دون اتصال)',
+    'mock.cleared': 'تم مسح الحجوزات التجريبية',
+    'time.shownBusiness': 'الأوقات معروضة بتوقيت العيادة ({zone})',
+    'time.shownLocal': 'الأوقات معروضة بتوقيتك المحلي ({zone})',
+    'live.taken': 'تم حجز {n} موعد للتو من قبل شخص آخر',
+    'live.modalTaken': 'تم حجز هذا الموعد للتو من قبل شخص آخر. يرجى إغلاق هذه النافذة واختيار موعد آخر.',
+    'export.addToCalendar': 'إضافة إلى التقويم',
+    'export.day': 'تصدير اليوم',
+    'export.csv': 'جدول بيانات (CSV)',
+    'export.ics': 'تقويم (.ics)',
+    'export.eventSummary': 'موعد — {resource}',
+    'export.eventDescription': 'موعد رقم {id}',
+    'export.empty': 'لا يوجد ما يمكن تصديره لهذا التاريخ.',
+    'export.done': 'تم تصدير {n} موعد.',
+    'roster.open': 'طباعة الجدول',
+    'roster.openTitle': 'جدول قابل للطباعة لكل مورد',
+    'roster.title': 'الجدول',
+    'roster.print': 'طباعة',
+    'roster.status': 'الحالة',
+    'roster.all': 'كل المواعيد',
+    'roster.booked': 'المواعيد المحجوزة',
+    'roster.none': 'لا توجد مواعيد.',
+    'url.notFound': 'الموعد رقم {id} غير موجود في التاريخ المعروض.',
+    'grid.time': 'الوقت',
+    'grid.label': 'جدول الحجوزات',
+    'booking.title': 'بياناتك',
+    'booking.invalid': 'يرجى تصحيح الحقول المحددة.',
+    'booking.err.name': 'يرجى إدخال الاسم الكامل.',
+    'booking.err.phone': 'أدخل رقم جوال مثل 05xxxxxxxx أو ‎+9665xxxxxxxx.',
+    'booking.err.birthDate': 'يرجى إدخال تاريخ ميلاد صحيح.',
+    'booking.err.birthFuture': 'لا يمكن أن يكون تاريخ الميلاد في المستقبل.',
+    'booking.err.age': 'يجب ألا يقل عمر العميل عن {min} سنة.',
+    'booking.err.subscribeRequired': 'رقم الاشتراك مطلوب.',
+    'booking.err.subscribe': 'استخدم من 3 إلى 20 حرفًا أو رقمًا أو شرطة.',
+    'booking.err.notes': 'يجب ألا تتجاوز الملاحظات {max} حرف.',
+    'rules.past': 'هذا الوقت قد بدأ بالفعل.',
+    'rules.leadTime': 'يجب الحجز قبل {minutes} دقيقة على الأقل.',
+    'rules.horizon': 'يمكن الحجز حتى {days} يومًا مقدمًا.',
+    'rules.notEligible': 'هذا المورد غير متاح لحسابك.',
+    'rules.minAge': 'هذا المورد مخصص للعملاء بعمر {min} سنة فأكثر.',
+    'rules.perDay': 'يمكنك الاحتفاظ بـ {n} حجز نشط كحد أقصى في اليوم.',
+    'rules.perWeek': 'يمكنك الاحتفاظ بـ {n} حجز نشط كحد أقصى في الأسبوع.',
+    'mine.open': 'مواعيدي',
+    'mine.openTitle': 'جميع حجوزاتي القادمة والسابقة',
+    'mine.title': 'مواعيدي',
+    'mine.from': 'من تاريخ',
+    'mine.to': 'إلى تاريخ',
+    'mine.refresh': 'تحديث',
+    'mine.upcoming': 'القادمة',
+    'mine.past': 'السابقة',
+    'mine.progress': 'جارٍ فحص {date}…',
+    'mine.found': 'تم العثور على {n} حجز.',
+    'mine.capped': ' تم فحص أول {days} يومًا فقط.',
+    'mine.failedDays': ' تعذر تحميل {n} يوم.',
+    'mine.invalid': 'يرجى اختيار نطاق تاريخ صحيح.',
+    'mine.noneUpcoming': 'لا توجد حجوزات قادمة.',
+    'mine.nonePast': 'لا توجد حجوزات سابقة في هذا النطاق.',
+    'mine.view': 'عرض',
+    'mine.reschedule': 'إعادة الجدولة',
+    'mine.showOnGrid': 'عرض هذا التاريخ في الجدول',
+    'mine.gone': 'هذا الحجز لم يعد باسمك على الخادم.',
+    'footer.note': 'مصمم ليطابق نمط الجدول الذي أوصى به العميل. يتم إرسال الحجز والتحديث إلى خوادم MasterFit.'
+  }
+};
+
+/* locale tag for Intl formatting; Arabic picks Arabic-Indic or Latin digits */
+function uiLocale() {
+  if (lang !== 'ar') return 'en-US';
+  return arabicDigits ? 'ar-u-nu-arab' : 'ar-u-nu-latn';
+}
+
+/* numbers in the active locale's digits (no grouping, so ids stay readable) */
+function fmtNumber(n) {
+  return new Intl.NumberFormat(uiLocale(), { useGrouping: false }).format(n);
+}
+
+function t(key, vars = {}) {
+  const catalog = I18N[lang] || I18N.en;
+  const s = catalog[key] ?? I18N.en[key] ?? key;
+  return s.replace(/\{(\w+)\}/g, (m, k) => {
+    if (!(k in vars)) return m;
+    return typeof vars[k] === 'number' ? fmtNumber(vars[k]) : String(vars[k]);
+  });
+}
+
+/* API field pair in the UI language: obj.<field>_Ar for Arabic when present, else <field>_En / <field> */
+function localized(obj, field) {
+  if (!obj) return '';
+  const ar = obj[`${field}_Ar`];
+  if (lang === 'ar' && ar) return ar;
+  return obj[`${field}_En`] ?? obj[field] ?? ar ?? '';
+}
+
+function resourceName(r) {
+  return localized(r, 'Name') || t('resource.fallback', { id: r.ID });
+}
+
+/* resource name for a slot: the loaded resource in the UI language, else the name copied onto the slot */
+function slotResourceName(slot) {
+  const r = resources.find(x => String(x.ID) === String(slot.Resource_Id ?? slot.ResourceId));
+  return r ? resourceName(r) : (slot.ResourceName ?? '');
+}
+
+/* server message from an envelope ({ msg_en, msg_ar }) */
+function serverMessage(resp) {
+  if (!resp) return '';
+  return (lang === 'ar' && resp.msg_ar) ? resp.msg_ar : (resp.msg_en || '');
+}
+
+/* set both description fields of a slot from a catalog key (status.available, status.2, ...) */
+function setSlotDescription(slot, key) {
+  slot.Description_En = I18N.en[key];
+  slot.Description_Ar = I18N.ar[key];
+}
+
+/* static markup: data-i18n (text), data-i18n-title, data-i18n-aria-label */
+function translateStatic(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(el => el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)));
+}
+
+/* switch the page to `lang`: direction, static strings, and everything rendered from data */
+function applyLanguage() {
+  document.documentElement.lang = lang;
+  document.documentElement.dir = lang === 'ar' ? 'rtl' : 'ltr';
+  translateStatic();
+  const business = document.querySelector('#timeDisplaySelect option[value="business"]');
+  if (business) business.textContent = t('top.timesBusiness', { zone: CONFIG.BUSINESS_TIMEZONE });
+  const digits = $('#arabicDigitsToggle');
+  if (digits) digits.hidden = lang !== 'ar';
+  updateSessionInfo();
+  updateBulkBar();
+  const dp = $('#datePicker');
+  if (dp && dp.value) $('#displayDate').textContent = formatDisplayRange(dp.value);
+  if (resources.length) {
+    populateResourceFilter();
+    renderGrid(dp.value || todayStr());
+  }
+}
+
+/* ====================
+   Resource schedules (working hours, breaks, closures)
+   ==================== */
+
+/* schedule for a resource: DEFAULT_SCHEDULE with per-resource overrides (mock mode adds demo ones) */
+function resourceSchedule(resourceId) {
+  const base = CONFIG.DEFAULT_SCHEDULE;
+  const override = CONFIG.RESOURCE_SCHEDULES[String(resourceId)]
+    || (MODE === 'mock' ? MOCK.SCHEDULES[String(resourceId)] : null)
+    || {};
+  const defaultHours = base.hours || Object.fromEntries([0, 1, 2, 3, 4, 5, 6].map(d => [d, [
+    `${String(CONFIG.SLOT_MIN_TIME).padStart(2, '0')}:00`, `${String(CONFIG.SLOT_MAX_TIME).padStart(2, '0')}:00`
+  ]]));
+  return {
+    hours: { ...defaultHours, ...(override.hours || {}) },
+    breaks: override.breaks || base.breaks || [],
+    slotMinutes: override.slotMinutes || base.slotMinutes || CONFIG.SLOT_DURATION_MIN
+  };
+}
+
+/* closure entry covering this resource/date, or null */
+function closureFor(resourceId, dateStr) {
+  return CONFIG.CLOSURES.find(c => c.date === dateStr && (c.resourceId == null || String(c.resourceId) === String(resourceId))) || null;
+}
+
+/* open periods [[fromMin, toMin], ...] for a resource on a date, breaks cut out */
+function openIntervals(resourceId, dateStr) {
+  if (closureFor(resourceId, dateStr)) return [];
+  const sched = resourceSchedule(resourceId);
+  const day = sched.hours[weekdayOf(dateStr)];
+  if (!day) return [];
+  let intervals = [[parseTimeOfDay(day[0]), parseTimeOfDay(day[1])]];
+  sched.breaks.forEach(([bFrom, bTo]) => {
+    const b0 = parseTimeOfDay(bFrom), b1 = parseTimeOfDay(bTo);
+    intervals = intervals.flatMap(([a, z]) => {
+      if (b1 <= a || b0 >= z) return [[a, z]];
+      return [[a, b0], [b1, z]].filter(([x, y]) => y > x);
+    });
+  });
+  return intervals;
+}
+
+/* why a resource is closed at a minute of a date (null when open) */
+function closedReason(resourceId, dateStr, minute) {
+  const closure = closureFor(resourceId, dateStr);
+  if (closure) return closure.label || t('closed.closed');
+  const sched = resourceSchedule(resourceId);
+  const day = sched.hours[weekdayOf(dateStr)];
+  if (!day) return t('closed.closed');
+  if (minute < parseTimeOfDay(day[0]) || minute >= parseTimeOfDay(day[1])) return t('closed.outside');
+  const onBreak = sched.breaks.some(([bFrom, bTo]) => minute >= parseTimeOfDay(bFrom) && minute < parseTimeOfDay(bTo));
+  return onBreak ? t('closed.break') : null;
+}
+
+/* grid row range [fromMin, toMin): union of open hours and loaded slot times
+   across the shown resources/dates, rounded out to whole rows */
+function gridRowRange(dates, resourceList) {
+  let lo = Infinity, hi = -Infinity;
+  resourceList.forEach(r => {
+    dates.forEach(d => openIntervals(r.ID, d).forEach(([a, z]) => { lo = Math.min(lo, a); hi = Math.max(hi, z); }));
+    (slotsMap[String(r.ID)] || []).forEach(s => {
+      if (!dates.includes(slotDateStr(s.TimeFrom))) return;
+      const start = minutesOfDay(s.TimeFrom);
+      const length = slotSpanMinutes(s) || resourceSchedule(r.ID).slotMinutes;
+      lo = Math.min(lo, start);
+      hi = Math.max(hi, start + length);
+    });
+  });
+  if (!isFinite(lo) || !isFinite(hi)) return [CONFIG.SLOT_MIN_TIME * 60, CONFIG.SLOT_MAX_TIME * 60];
+  const step = CONFIG.SLOT_DURATION_MIN;
+  return [Math.floor(lo / step) * step, Math.min(24 * 60, Math.ceil(hi / step) * step)];
+}
+
+/* ====================
+   Session / customer identity
+   ==================== */
+/* stored session: customer rights until the server confirms the role (refreshSessionRole) */
+function loadSession() {
+  try {
+    const raw = JSON.parse(sessionStorage.getItem(CONFIG.SESSION_KEY) || 'null');
+    if (raw && raw.customerId) return { customerId: raw.customerId, token: raw.token || null, role: 'customer' };
+  } catch (e) { /* ignore corrupted session */ }
+  return null;
+}
+
+/* the role is kept in memory only, so editing sessionStorage can't grant it */
+function saveSession(next) {
+  session = next;
+  sessionStorage.setItem(CONFIG.SESSION_KEY, JSON.stringify({ customerId: next.customerId, token: next.token }));
+  updateSessionInfo();
+}
+
+/**
+ * Ask the server what `candidate` ({ customerId, token }) may do: 'staff' | 'customer'.
+ * A backend without the session endpoint (404) gives customer rights; refused credentials throw.
+ */
+async function fetchSessionRole(candidate) {
+  try {
+    const data = await currentAdapter().get(`${CONFIG.SESSION_ENDPOINT}?Customer_Id=${candidate.customerId}`, { auth: candidate });
+    if (data && data.result === 'failed') throw new EnvelopeError(serverMessage(data) || 'Invalid session');
+    const info = Array.isArray(data && data.data) ? data.data[0] : ((data && data.data) || data || {});
+    return String(info.Role || '').toLowerCase() === 'staff' ? 'staff' : 'customer';
+  } catch (err) {
+    if (err instanceof HttpError && err.status === 404) return 'customer';
+    throw err;
+  }
+}
+
+/* re-check the stored session's role (page load, backend switch); failures leave customer rights.
+   Resolves true when the role changed, so the caller can redraw for it. */
+async function refreshSessionRole() {
+  if (!session) return false;
+  const checking = session;
+  let role = 'customer';
+  try {
+    role = await fetchSessionRole(checking);
+  } catch (err) {
+    console.warn('session role check failed', err);
+  }
+  if (session !== checking || session.role === role) return false; // signed out/replaced meanwhile, or unchanged
+  session.role = role;
+  updateSessionInfo();
+  return true;
+}
+
+function clearSession() {
+  session = null;
+  sessionStorage.removeItem(CONFIG.SESSION_KEY);
+  updateSessionInfo();
+}
+
+/* staff sessions manage every appointment on the grid instead of booking for themselves */
+function isStaff() {
+  return !!session && session.role === 'staff';
+}
+
+/* active customer id (number) or null when nobody is signed in */
+function currentCustomerId() {
+  return session ? Number(session.customerId) : null;
+}
+
+/* headers sent with every live request for the signed-in customer; the server derives the role from the token */
+function authHeaders(auth = session) {
+  const headers = {};
+  if (!auth) return headers;
+  headers['X-Customer-Id'] = String(auth.customerId);
+  if (auth.token) headers['Authorization'] = `Bearer ${auth.token}`;
+  return headers;
+}
+
+/* reflect the session in the top bar */
+function updateSessionInfo() {
+  const info = $('#sessionInfo');
+  if (!info) return;
+  info.hidden = !session;
+  $('#sessionLabel').textContent = session ? t(isStaff() ? 'session.staff' : 'session.customer', { id: session.customerId }) : '';
+  document.body.classList.toggle('staff', isStaff());
+}
+
+function openSignIn(message = '') {
+  const m = $('#signInModal');
+  const errEl = $('#signInError');
+  errEl.textContent = message;
+  errEl.hidden = !message;
+  $('#signInCustomer').value = session ? session.customerId : '';
+  $('#signInToken').value = '';
+  showDialog(m, session ? closeSignIn : null); // without a session there is nothing to go back to
+  $('#signInCustomer').focus();
+}
+
+function closeSignIn() {
+  hideDialog($('#signInModal'));
+}
+
+/* drop the session and local booking state, then ask for sign-in again */
+function signOut(message = '') {
+  stopLiveRefresh();
+  clearSession();
+  sessionStorage.removeItem(CLIENT_DETAILS_KEY); // personal details stay with the customer who typed them
+  clearStaffSelection();
+  clearApiCache();
+  registeredSlot = null;
+  pendingMove = null;
+  resources = [];
+  slotsMap = {};
+  closeMyAppointments();
+  myAppointments = [];
+  clearGrid();
+  $('#gridWrap').hidden = true;
+  closeModal();
+  closeViewModal();
+  setStatus(message || t('signOut.done'), !!message);
+  openSignIn(message);
+}
+
+/* 401/403 from the server -> session is no longer valid */
+function handleAuthFailure(status) {
+  if (!session) return; // already signed out by a parallel request
+  signOut(t(status === 403 ? 'auth.denied' : 'auth.expired'));
+}
+
+/* ====================
+   Mock backend (offline demo / development)
+   - Same request/response shapes as the live API.
+   - Resources are fixed; slots are generated for any date from CONFIG hours.
+   - Bookings made in mock mode are kept in localStorage ('mockStore').
+   ==================== */
+const MOCK = {
+  resources: [
+    { ID: '1', Name_En: 'Nutrition Room 1', Name_Ar: 'غرفة التغذية ١' },
+    { ID: '2', Name_En: 'Nutrition Room 2', Name_Ar: 'غرفة التغذية ٢' },
+    { ID: '3', Name_En: 'Board Room A', Name_Ar: 'قاعة الاجتماعات أ' },
+    { ID: '4', Name_En: 'Meeting Room B', Name_Ar: 'غرفة الاجتماعات ب' },
+    { ID: '5', Name_En: 'Personnel', Name_Ar: 'شؤون الموظفين' }
+  ],
+  OTHER_CUSTOMER_ID: 9001, // ids from here on are used for slots pre-booked by "someone else"
+  CLIENT_NAMES: ['Sara Ali', 'Omar Khalid', 'Lina Haddad', 'Yousef Nasser', 'Maha Saleh', 'Walk-in client'],
+  STORE_KEY: 'mockStore',
+  STORE_VERSION: 2, // bump when mock appointment ids change; older stored bookings are dropped
+  STAFF_TOKEN: 'staff-demo', // the mock session endpoint gives this token the staff role
+  // demo schedules so mock mode shows breaks, closed days and other slot lengths
+  SCHEDULES: {
+    '2': { hours: { 5: null }, breaks: [['12:00', '13:00']], slotMinutes: 45 },
+    '5': { hours: { 0: null, 5: null, 6: null, 1: ['09:00', '15:00'], 2: ['09:00', '15:00'], 3: ['09:00', '15:00'], 4: ['09:00', '15:00'] }, slotMinutes: 60 }
+  }
+};
+
+/* persisted overlay: { version, bookings: { [appId]: { Register_Id, Status, Description_En, Notes, ... } } } */
+function mockLoadStore() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(MOCK.STORE_KEY) || 'null');
+    if (raw && raw.bookings && raw.version === MOCK.STORE_VERSION) return raw;
+  } catch (e) { /* corrupted store -> start fresh */ }
+  // missing, corrupted or from older mock ids (its bookings would land on other slots) -> start fresh
+  return { version: MOCK.STORE_VERSION, bookings: {} };
+}
+
+function mockSaveStore(store) {
+  localStorage.setItem(MOCK.STORE_KEY, JSON.stringify({ ...store, version: MOCK.STORE_VERSION }));
+}
+
+function mockResetStore() {
+  localStorage.removeItem(MOCK.STORE_KEY);
+}
+
+/* small deterministic hash so the same date always produces the same "busy" slots */
+function mockHash(str) {
+  let h = 0;
+  for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) | 0;
+  return Math.abs(h);
+}
+
+/* appointment id encodes date + resource + slot index: yyyymmdd rr ii */
+function mockAppId(dateStr, resourceId, idx) {
+  return Number(`${dateStr.replace(/-/g, '')}${String(resourceId).padStart(2, '0')}${String(idx).padStart(2, '0')}`);
+}
+
+function mockDecodeAppId(appId) {
+  const s = String(appId);
+  if (!/^\d{12}$/.test(s)) return null;
+  return {
+    dateStr: `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}`,
+    resourceId: String(Number(s.slice(8, 10))),
+    idx: Number(s.slice(10, 12))
+  };
+}
+
+/* build the base (un-booked) slot list for a resource/date, then apply the stored overlay */
+function mockSlotsFor(dateStr, resourceId, store = mockLoadStore()) {
+  const pad = n => String(n).padStart(2, '0');
+  const slots = [];
+  const length = resourceSchedule(resourceId).slotMinutes;
+  const starts = openIntervals(resourceId, dateStr)
+    .flatMap(([a, z]) => { const out = []; for (let m = a; m + length <= z; m += length) out.push(m); return out; });
+  let idx = 0;
+  for (const mins of starts) {
+    const end = mins + length;
+    const appId = mockAppId(dateStr, resourceId, idx);
+    const slot = {
+      Appoitment_Id: appId,
+      Resource_Id: String(resourceId),
+      Date: dateStr,
+      TimeFrom: `${dateStr}T${pad(Math.floor(mins / 60))}:${pad(mins % 60)}:00`,
+      TimeTo: `${dateStr}T${pad(Math.floor(end / 60))}:${pad(end % 60)}:00`,
+      Status: 1
+    };
+    setSlotDescription(slot, 'status.available');
+    if (mockHash(`${dateStr}|${resourceId}|${idx}`) % 5 === 0) {
+      const h = mockHash(`${resourceId}|${idx}|${dateStr}`);
+      const status = 1 + (h % 3); // mix of pending / accepted / rejected for staff mode
+      Object.assign(slot, {
+        Status: status, Register_Id: MOCK.OTHER_CUSTOMER_ID + (h % 7),
+        Full_Name: MOCK.CLIENT_NAMES[h % MOCK.CLIENT_NAMES.length],
+        Phone: `05${String(h % 100000000).padStart(8, '0')}`,
+        Register_Subscribe_Number: `SUB-${1000 + (h % 9000)}`
+      });
+      setSlotDescription(slot, `status.${status}`);
+    }
+    const booking = store.bookings[appId];
+    if (booking === null) {
+      // explicitly released (e.g. cancelled) -> back to available
+      ['Register_Id', 'Full_Name', 'Phone', 'Register_Subscribe_Number'].forEach(k => delete slot[k]);
+      slot.Status = 1;
+      setSlotDescription(slot, 'status.available');
+    } else if (booking && booking.Merged_Into) {
+      idx++;
+      continue; // folded into a longer appointment starting earlier
+    } else if (booking) {
+      Object.assign(slot, booking);
+    }
+    slots.push(slot);
+    idx++;
+  }
+  return slots;
+}
+
+function mockFindSlot(appId, store) {
+  const ref = mockDecodeAppId(appId);
+  if (!ref) return null;
+  return mockSlotsFor(ref.dateStr, ref.resourceId, store).find(s => String(s.Appoitment_Id) === String(appId)) || null;
+}
+
+/* free a booking and any slots folded into it */
+function mockRelease(store, slot) {
+  (slot.Merged_Ids || []).forEach(id => { store.bookings[id] = null; });
+  store.bookings[slot.Appoitment_Id] = null;
+}
+
+function mockFail(msg) {
+  return { result: 'failed', msg_en: msg };
+}
+
+/* the mock server decides the role from the token, like the live one should */
+function mockIsStaff(auth) {
+  return !!auth && auth.token === MOCK.STAFF_TOKEN;
+}
+
+/* GET routes; auth = { customerId, token } of the caller */
+function mockHandleGet(path, auth) {
+  const url = new URL(path, 'http://mock.local');
+  const q = url.searchParams;
+  if (url.pathname === CONFIG.SESSION_ENDPOINT) {
+    if (!auth || Number(q.get('Customer_Id')) !== Number(auth.customerId)) return mockFail('Invalid session');
+    return { result: 'success', data: { Customer_Id: Number(auth.customerId), Role: mockIsStaff(auth) ? 'staff' : 'customer' } };
+  }
+  if (url.pathname === '/MasterFit_Calender_Get_Appt_Resource_Nutration') {
+    return MOCK.resources.map(r => ({ ...r }));
+  }
+  if (url.pathname === '/MasterFit_APP_GetAppointment/Calender') {
+    const dateStr = q.get('Date');
+    const resourceId = q.get('Resource_Id');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || '') || !MOCK.resources.some(r => r.ID === String(resourceId))) {
+      return mockFail('Invalid Data');
+    }
+    const slots = mockSlotsFor(dateStr, resourceId);
+    if (mockIsStaff(auth)) return slots;
+    // customers only get their own client details
+    return slots.map(s => {
+      if (!s.Register_Id || Number(s.Register_Id) === Number(auth && auth.customerId)) return s;
+      const { Full_Name, Phone, Birth_Date, Register_Subscribe_Number, Notes, ...rest } = s;
+      return rest;
+    });
+  }
+  throw new Error(`Mock: no GET route for ${url.pathname}`);
+}
+
+/* POST routes (register / update / reschedule / cancel) */
+function mockHandlePost(path, body) {
+  const store = mockLoadStore();
+  const customerId = Number(body.Customer_Id);
+
+  if (path === CONFIG.REGISTER_ENDPOINT) {
+    const ids = body.Appointment_Ids && body.Appointment_Ids.length ? body.Appointment_Ids : [body.Appointment_Id];
+    const parts = ids.map(id => mockFindSlot(id, store));
+    if (parts.some(p => !p)) return mockFail('Appointment not found');
+    if (parts.some(p => p.Register_Id)) return mockFail('This slot has already been taken.');
+    const slot = parts[0];
+    const last = parts[parts.length - 1];
+    // multi-slot: first slot becomes the long appointment, the others are folded into it
+    const details = {};
+    BOOKING_FIELDS.forEach(f => { if (body[f] !== undefined) details[f] = body[f]; });
+    store.bookings[slot.Appoitment_Id] = {
+      Register_Id: customerId, Status: 1, ...details,
+      ...(parts.length > 1 ? { TimeTo: last.TimeTo, Merged_Ids: parts.slice(1).map(p => p.Appoitment_Id) } : {})
+    };
+    setSlotDescription(store.bookings[slot.Appoitment_Id], 'status.registered');
+    parts.slice(1).forEach(p => { store.bookings[p.Appoitment_Id] = { Merged_Into: slot.Appoitment_Id }; });
+    mockSaveStore(store);
+    return { result: 'success', msg_en: 'Appointment registered', data: { ...slot, ...store.bookings[slot.Appoitment_Id] } };
+  }
+
+  if (path === CONFIG.UPDATE_ENDPOINT) {
+    const slot = mockFindSlot(body.Appointment_Id, store);
+    if (!slot) return mockFail('Appointment not found');
+    const status = Number(body.Status);
+    store.bookings[slot.Appoitment_Id] = {
+      ...(store.bookings[slot.Appoitment_Id] || {}),
+      Status: status,
+      Notes: body.Notes ?? ''
+    };
+    setSlotDescription(store.bookings[slot.Appoitment_Id], `status.${status === 2 || status === 3 ? status : 1}`);
+    mockSaveStore(store);
+    return { result: 'success', msg_en: 'Appointment updated', data: { ...slot, ...store.bookings[slot.Appoitment_Id] } };
+  }
+
+  if (path === CONFIG.RESCHEDULE_ENDPOINT) {
+    const oldSlot = mockFindSlot(body.Old_Appointment_Id, store);
+    const newSlot = mockFindSlot(body.New_Appointment_Id, store);
+    if (!oldSlot || !newSlot) return mockFail('Appointment not found');
+    if (Number(oldSlot.Register_Id) !== customerId) return mockFail('The original appointment is not registered to this customer.');
+    if (newSlot.Register_Id) return mockFail('The new slot has already been taken.');
+    // a multi-slot booking keeps its length: fold the free slots after the new one into it
+    const minutes = minutesBetween(oldSlot.TimeFrom, oldSlot.TimeTo);
+    const daySlots = mockSlotsFor(newSlot.Date, newSlot.Resource_Id, store);
+    const parts = [];
+    let end = toInstant(newSlot.TimeFrom).getTime();
+    const goal = end + minutes * 60000;
+    for (let i = daySlots.findIndex(s => s.Appoitment_Id === newSlot.Appoitment_Id); i < daySlots.length && end < goal; i++) {
+      if (toInstant(daySlots[i].TimeFrom).getTime() !== end || daySlots[i].Register_Id) break;
+      parts.push(daySlots[i]);
+      end = toInstant(daySlots[i].TimeTo).getTime();
+    }
+    if (end < goal) return mockFail('There is not enough free time after the new slot for this appointment.');
+    const kept = { Register_Id: oldSlot.Register_Id, Status: oldSlot.Status, Notes: oldSlot.Notes };
+    BOOKING_FIELDS.forEach(f => { if (oldSlot[f] !== undefined) kept[f] = oldSlot[f]; });
+    mockRelease(store, oldSlot);
+    store.bookings[newSlot.Appoitment_Id] = {
+      ...kept,
+      ...(parts.length > 1 ? { TimeTo: parts[parts.length - 1].TimeTo, Merged_Ids: parts.slice(1).map(p => p.Appoitment_Id) } : {})
+    };
+    setSlotDescription(store.bookings[newSlot.Appoitment_Id], 'status.registered');
+    parts.slice(1).forEach(p => { store.bookings[p.Appoitment_Id] = { Merged_Into: newSlot.Appoitment_Id }; });
+    mockSaveStore(store);
+    return { result: 'success', msg_en: 'Appointment moved', data: { ...newSlot, ...store.bookings[newSlot.Appoitment_Id] } };
+  }
+
+  if (path === CONFIG.CANCEL_ENDPOINT) {
+    const slot = mockFindSlot(body.Appointment_Id, store);
+    if (!slot) return mockFail('Appointment not found');
+    if (Number(slot.Register_Id) !== customerId) return mockFail('This appointment is not registered to this customer.');
+    mockRelease(store, slot);
+    mockSaveStore(store);
+    return { result: 'success', msg_en: 'Appointment cancelled', data: mockFindSlot(slot.Appoitment_Id, store) };
+  }
+
+  throw new Error(`Mock: no POST route for ${path}`);
+}
+
+/* ====================
+   HTTP client
+   - per-attempt timeout, caller cancellation via AbortSignal
+   - retry with exponential backoff for idempotent GETs
+   - typed errors so the UI can say what went wrong
+   ==================== */
+class ApiError extends Error {
+  constructor(message, kind) {
+    super(message);
+    this.name = this.constructor.name;
+    this.kind = kind; // 'network' | 'http' | 'envelope'
+  }
+}
+
+/* request never got a response: offline, DNS, CORS, timeout */
+class NetworkError extends ApiError {
+  constructor(message, { timeout = false } = {}) {
+    super(message, 'network');
+    this.timeout = timeout;
+  }
+}
+
+/* server answered with a non-2xx status */
+class HttpError extends ApiError {
+  constructor(status, body = '') {
+    super(`HTTP ${status}${body ? ' ' + body : ''}`, 'http');
+    this.status = status;
+  }
+}
+
+/* server answered 200 but the envelope says { result: 'failed', msg_en }, or the body is not JSON */
+class EnvelopeError extends ApiError {
+  constructor(message) {
+    super(message || 'Unknown response from server', 'envelope');
+  }
+}
+
+function isAbortError(err) {
+  return !!err && err.name === 'AbortError';
+}
+
+function abortError() {
+  return new DOMException('The request was cancelled', 'AbortError');
+}
+
+/* throw EnvelopeError unless the server envelope reports success */
+function expectSuccess(resp) {
+  if (!resp || String(resp.result).toLowerCase() !== 'success') {
+    throw new EnvelopeError(serverMessage(resp));
+  }
+  return resp;
+}
+
+/* short human description of an API failure for the status bar */
+function describeError(err) {
+  if (err instanceof NetworkError) return t(err.timeout ? 'error.timeout' : 'error.network');
+  if (err instanceof HttpError) return t('error.http', { status: err.status });
+  if (err instanceof EnvelopeError) return t('error.rejected', { message: err.message });
+  return err && err.message ? err.message : t('error.unexpected');
+}
+
+/* resolve after ms, or reject early when signal aborts */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) { reject(abortError()); return; }
+    const onAbort = () => { clearTimeout(timer); reject(abortError()); };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort); // the load signal outlives many retries
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/* one fetch attempt with its own timeout, linked to the caller's signal */
+async function fetchOnce(url, init, { timeoutMs, signal, sessionAuth }) {
+  const ctrl = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => { timedOut = true; ctrl.abort(); }, timeoutMs);
+  const onAbort = () => ctrl.abort();
+  if (signal) {
+    if (signal.aborted) ctrl.abort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  let body;
+  try {
+    const r = await fetch(url, { ...init, signal: ctrl.signal });
+    if (sessionAuth && (r.status === 401 || r.status === 403)) handleAuthFailure(r.status);
+    if (!r.ok) {
+      const txt = await r.text().catch(()=>null);
+      throw new HttpError(r.status, txt || '');
+    }
+    body = await r.text();
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    if (timedOut) throw new NetworkError(`Request timed out after ${timeoutMs} ms`, { timeout: true });
+    if (isAbortError(err) || (signal && signal.aborted)) throw abortError();
+    throw new NetworkError(err && err.message ? err.message : 'Network request failed');
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+
+  // parsed outside the network catch: a 200 with an HTML body is the server's fault, not worth a retry
   try {
-    const d = new Date(iso);
-    return d.toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'});
-  } catch (e) { return iso; }
+    return JSON.parse(body);
+  } catch (err) {
+    throw new EnvelopeError('Invalid JSON response from server');
+  }
+}
+
+function isRetryable(err) {
+  if (err instanceof NetworkError) return true;
+  return err instanceof HttpError && (err.status >= 500 || err.status === 429);
+}
+
+/**
+ * JSON request. GETs are retried (network errors, 5xx, 429) with exponential backoff;
+ * other methods are sent once. Throws NetworkError / HttpError, EnvelopeError for a non-JSON body, or AbortError when `signal` aborts.
+ * A 401/403 signs out, unless `sessionAuth` is false (credentials being tried, not the stored session's).
+ */
+async function httpRequest(url, { method = 'GET', headers = {}, body, signal, timeoutMs = CONFIG.HTTP_TIMEOUT_MS, retries, sessionAuth = true } = {}) {
+  const attempts = 1 + (retries ?? (method === 'GET' ? CONFIG.HTTP_RETRIES : 0));
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchOnce(url, { method, headers, body }, { timeoutMs, signal, sessionAuth });
+    } catch (err) {
+      if (isAbortError(err) || attempt + 1 >= attempts || !isRetryable(err)) throw err;
+      const wait = CONFIG.HTTP_RETRY_BASE_MS * 2 ** attempt + Math.random() * 100;
+      console.warn(`retrying ${method} ${url} in ${Math.round(wait)} ms`, err);
+      await delay(wait, signal);
+    }
+  }
+}
+
+/* ====================
+   API adapters - live (fetch) and mock (in-memory + localStorage) share one interface
+   ==================== */
+const liveAdapter = {
+  async get(path, { signal, auth } = {}) {
+    // a rejected sign-in candidate is reported by the sign-in dialog; the working session stays
+    const sessionAuth = !auth || auth === session;
+    return httpRequest(`${CONFIG.API_BASE}${path}`, { headers: authHeaders(auth), signal, sessionAuth });
+  },
+
+  async postJson(path, bodyObj, { signal } = {}) {
+    return httpRequest(`${CONFIG.API_BASE}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders()
+      },
+      body: JSON.stringify(bodyObj),
+      signal
+    });
+  }
+};
+
+const mockAdapter = {
+  async get(path, { signal, auth } = {}) {
+    await delay(CONFIG.MOCK_LATENCY_MS, signal);
+    return JSON.parse(JSON.stringify(mockHandleGet(path, auth || session)));
+  },
+
+  async postJson(path, bodyObj, { signal } = {}) {
+    await delay(CONFIG.MOCK_LATENCY_MS, signal);
+    return JSON.parse(JSON.stringify(mockHandlePost(path, bodyObj)));
+  }
+};
+
+function currentAdapter() {
+  return MODE === 'mock' ? mockAdapter : liveAdapter;
+}
+
+/* switch between 'live' and 'mock'; persisted so a reload keeps the chosen backend */
+function setMode(mode) {
+  clearApiCache(); // cached data belongs to the previous backend
+  MODE = mode === 'mock' ? 'mock' : 'live';
+  localStorage.setItem('mode', MODE);
+  document.body.dataset.mode = MODE;
+  const sel = $('#modeSelect');
+  if (sel) sel.value = MODE;
+}
+
+/* ====================
+   API wrappers
+   ==================== */
+async function apiGet(path, opts = {}) {
+  return currentAdapter().get(path, opts);
+}
+
+/* POST/PUT wrapper for update */
+async function apiPostJson(path, bodyObj, opts = {}) {
+  return currentAdapter().postJson(path, bodyObj, opts);
+}
+
+/* GET resources (first API) */
+async function fetchResources(customerId, opts = {}) {
+  const path = `/MasterFit_Calender_Get_Appt_Resource_Nutration?Customer_Id=${customerId}`;
+  const data = await apiGet(path, opts);
+  if (data && data.result === 'failed') throw new EnvelopeError(serverMessage(data) || 'Invalid Data');
+  return data;
+}
+
+/* GET slots for a resource (second API) */
+async function fetchSlotsForResource(customerId, dateStr, resourceId, opts = {}) {
+  const path = `/MasterFit_APP_GetAppointment/Calender?Customer_Id=${customerId}&Date=${dateStr}&Resource_Id=${resourceId}`;
+  const data = await apiGet(path, opts);
+  if (data && data.result === 'failed') throw new EnvelopeError(serverMessage(data) || 'Invalid Data');
+  return data;
+}
+
+/* ====================
+   Slot cache
+   - key: customer|date|resource, TTL + stale-while-revalidate
+   - concurrent callers share one in-flight request
+   ==================== */
+const slotCache = new Map();     // key -> { data, fetchedAt, promise }
+const resourceCache = new Map(); // customerId -> { data, fetchedAt, promise }
+
+function slotCacheKey(customerId, dateStr, resourceId) {
+  return `${customerId}|${dateStr}|${resourceId}`;
+}
+
+/* fetch through the cache entry, sharing the in-flight promise
+   (a request whose owner already aborted is not shared; a fresh one is started) */
+function cachedFetch(cache, key, loader, signal) {
+  const entry = cache.get(key) || {};
+  if (entry.promise && !(entry.signal && entry.signal.aborted)) return entry.promise;
+  entry.signal = signal || null;
+  const promise = loader()
+    .then(data => {
+      cache.set(key, { data, fetchedAt: Date.now(), promise: null, signal: null });
+      return data;
+    })
+    .catch(err => {
+      // keep any previous data; just drop the failed request (unless a newer one replaced it)
+      const cur = cache.get(key);
+      if (cur && cur.promise === promise) cur.promise = null;
+      throw err;
+    });
+  entry.promise = promise;
+  cache.set(key, entry);
+  return promise;
+}
+
+/**
+ * Slots for one resource/date.
+ * - fresh entry: returned as-is
+ * - stale entry: returned immediately, refreshed in the background; onRevalidated(data) fires if it changed
+ * - missing/expired: fetched (or joined if already in flight)
+ */
+async function getSlotsCached(customerId, dateStr, resourceId, { onRevalidated, signal } = {}) {
+  const key = slotCacheKey(customerId, dateStr, resourceId);
+  const entry = slotCache.get(key);
+  const age = entry && entry.fetchedAt ? Date.now() - entry.fetchedAt : Infinity;
+  const loader = () => fetchSlotsForResource(customerId, dateStr, resourceId, { signal });
+
+  if (age <= CONFIG.CACHE_TTL_MS) return entry.data;
+  if (age <= CONFIG.CACHE_MAX_STALE_MS) {
+    const stale = entry.data;
+    // background refresh is not tied to the caller's signal
+    cachedFetch(slotCache, key, () => fetchSlotsForResource(customerId, dateStr, resourceId))
+      .then(fresh => {
+        if (onRevalidated && JSON.stringify(fresh) !== JSON.stringify(stale)) onRevalidated(fresh);
+      })
+      .catch(err => console.warn('background revalidation failed', key, err));
+    return stale;
+  }
+  return cachedFetch(slotCache, key, loader, signal);
+}
+
+async function getResourcesCached(customerId, { signal } = {}) {
+  const entry = resourceCache.get(customerId);
+  if (entry && entry.fetchedAt && Date.now() - entry.fetchedAt <= CONFIG.RESOURCE_CACHE_TTL_MS) return entry.data;
+  return cachedFetch(resourceCache, customerId, () => fetchResources(customerId, { signal }), signal);
+}
+
+/* drop cached slots; no args = everything, otherwise only matching date and/or resource */
+function invalidateSlotCache({ dateStr = null, resourceId = null } = {}) {
+  for (const key of slotCache.keys()) {
+    const [, d, r] = key.split('|');
+    if ((dateStr === null || d === dateStr) && (resourceId === null || r === String(resourceId))) slotCache.delete(key);
+  }
+}
+
+/* invalidate the cache entry a slot was loaded from (after register/update/cancel/move) */
+function invalidateSlot(slot) {
+  if (!slot) return;
+  const dateStr = slot.Date ?? (slot.TimeFrom ? slotDateStr(slot.TimeFrom) : null);
+  invalidateSlotCache({ dateStr, resourceId: slot.Resource_Id ?? slot.ResourceId ?? null });
+}
+
+function clearApiCache() {
+  slotCache.clear();
+  resourceCache.clear();
+}
+
+/* warm the cache for the previous and next period so prev/next feel instant */
+function prefetchAdjacent(dateStr, customerId) {
+  const step = viewStepDays();
+  const dates = [...rangeDates(addDaysStr(dateStr, -step)), ...rangeDates(addDaysStr(dateStr, step))];
+  setTimeout(() => {
+    resources.forEach(r => dates.forEach(d => {
+      getSlotsCached(customerId, d, r.ID).catch(() => { /* prefetch is best effort */ });
+    }));
+  }, 0);
+}
+
+/* ====================
+   Update API integration
+   ==================== */
+
+/**
+ * Call server update endpoint to update appointment status and notes.
+ * Body format (server example):
+ * { "Appointment_Id":"1", "Notes":"Status", "Status":"1" }
+ *
+ * Returns server JSON or throws.
+ */
+async function updateAppointmentAPI(appointmentId, statusValue, notesValue) {
+  if (!appointmentId) throw new Error('Missing Appointment_Id');
+  const body = {
+    Appointment_Id: String(appointmentId),
+    Notes: notesValue ?? '',
+    Status: String(statusValue ?? '')
+  };
+
+  // real network call
+  const resp = await apiPostJson(CONFIG.UPDATE_ENDPOINT, body);
+  return resp;
+}
+
+/* ====================
+   Register API integration
+   ==================== */
+
+/**
+ * Call server register endpoint to book a slot (or several back-to-back slots) for a customer.
+ * Body format:
+ * { "Customer_Id":"1", "Resource_Id":"2", "Appointment_Id":"7921", "Date":"2025-11-03",
+ *   "TimeFrom":"2025-11-03T11:00:00", "TimeTo":"2025-11-03T11:30:00" }
+ * A multi-slot booking also sends "Appointment_Ids":["7921","7922",...] and TimeTo of the last slot;
+ * the server books them as one appointment.
+ *
+ * Server answers with the usual envelope { result: 'success'|'failed', msg_en, ... }.
+ * Returns the booked appointment (server copy when provided) or throws with the server message.
+ */
+async function registerAppointmentAPI(customerId, resourceId, slotOrSlots, details = {}) {
+  const slots = (Array.isArray(slotOrSlots) ? slotOrSlots : [slotOrSlots]).filter(Boolean);
+  if (!slots.length) throw new Error('Missing slot');
+  const first = slots[0];
+  const last = slots[slots.length - 1];
+  const body = {
+    Customer_Id: String(customerId),
+    Resource_Id: String(resourceId),
+    Appointment_Id: String(first.Appoitment_Id ?? ''),
+    Date: first.Date ?? (first.TimeFrom ? slotDateStr(first.TimeFrom) : ''),
+    TimeFrom: first.TimeFrom,
+    TimeTo: last.TimeTo,
+    ...details // Full_Name, Phone, Birth_Date, Register_Subscribe_Number, Notes from the booking form
+  };
+  if (slots.length > 1) body.Appointment_Ids = slots.map(s => String(s.Appoitment_Id));
+
+  const resp = expectSuccess(await apiPostJson(CONFIG.REGISTER_ENDPOINT, body));
+
+  // server may echo the appointment as `data` (object or single-item array) or flat on the envelope
+  const data = Array.isArray(resp.data) ? resp.data[0] : (resp.data || {});
+  const appId = data.Appoitment_Id ?? data.Appointment_Id ?? resp.Appoitment_Id ?? resp.Appointment_Id ?? first.Appoitment_Id;
+  return { ...details, ...data, Appoitment_Id: appId, TimeTo: data.TimeTo ?? last.TimeTo, Register_Id: data.Register_Id ?? customerId };
+}
+
+/**
+ * Merge a server-confirmed appointment into the matching slot in slotsMap
+ * (matched by Appoitment_Id, falling back to TimeFrom). Returns the merged slot.
+ */
+function reconcileSlot(resourceId, slotObj, serverAppt) {
+  const resArr = slotsMap[String(resourceId)] || [];
+  const found = resArr.find(s => String(s.Appoitment_Id) === String(slotObj.Appoitment_Id))
+             || resArr.find(s => s.TimeFrom === slotObj.TimeFrom);
+  const target = found || slotObj;
+  Object.keys(serverAppt || {}).forEach(k => {
+    if (serverAppt[k] !== undefined && serverAppt[k] !== null) target[k] = serverAppt[k];
+  });
+  return target;
+}
+
+/* ====================
+   Reschedule API integration
+   ==================== */
+
+/**
+ * Call server reschedule endpoint to move a booking in one operation.
+ * Body format:
+ * { "Customer_Id":"1", "Old_Appointment_Id":"7909", "New_Appointment_Id":"7921", "Resource_Id":"2" }
+ * A longer booking also lists every slot it will cover: "New_Appointment_Ids": ["7921","7922"].
+ *
+ * Returns the new appointment (server copy when provided) or throws with the server message.
+ */
+async function rescheduleAppointmentAPI(customerId, oldAppId, newAppId, newResourceId, newAppIds = []) {
+  if (!oldAppId || !newAppId) throw new Error('Missing Appointment_Id');
+  const body = {
+    Customer_Id: String(customerId),
+    Old_Appointment_Id: String(oldAppId),
+    New_Appointment_Id: String(newAppId),
+    Resource_Id: String(newResourceId)
+  };
+  if (newAppIds.length > 1) body.New_Appointment_Ids = newAppIds.map(String);
+
+  const resp = expectSuccess(await apiPostJson(CONFIG.RESCHEDULE_ENDPOINT, body));
+  const data = Array.isArray(resp.data) ? resp.data[0] : (resp.data || {});
+  return { ...data, Appoitment_Id: data.Appoitment_Id ?? data.Appointment_Id ?? newAppId, Register_Id: data.Register_Id ?? customerId };
+}
+
+/* find the live slot object in slotsMap for a { Resource_Id, Appoitment_Id } reference */
+function findSlotInMap(resourceId, appId) {
+  return (slotsMap[String(resourceId)] || []).find(s => String(s.Appoitment_Id) === String(appId)) || null;
+}
+
+/**
+ * Slots a move of `old` to `start` would occupy: `start` plus the free back-to-back slots after it
+ * until old's length is covered. null when they don't fit (taken, gap, end of day).
+ */
+function moveTargetRun(old, start, resourceId) {
+  const minutes = old && old.TimeFrom && old.TimeTo ? minutesBetween(old.TimeFrom, old.TimeTo) : 0;
+  const day = slotDateStr(start.TimeFrom);
+  const daySlots = (slotsMap[String(resourceId)] || [])
+    .filter(s => slotDateStr(s.TimeFrom) === day)
+    .sort((a, b) => toInstant(a.TimeFrom) - toInstant(b.TimeFrom));
+  const run = [];
+  let end = toInstant(start.TimeFrom).getTime();
+  const goal = end + minutes * 60000;
+  for (let i = daySlots.indexOf(start); i >= 0 && i < daySlots.length && (end < goal || !run.length); i++) {
+    const s = daySlots[i];
+    if (toInstant(s.TimeFrom).getTime() !== end || !isSlotAvailable(s) || s.Register_Id) break;
+    run.push(s);
+    end = toInstant(s.TimeTo).getTime();
+  }
+  return run.length && end >= goal ? run : null;
+}
+
+/* number of the resource's slots a booking covers (more than one when slots were folded into it) */
+function bookingSlotCount(booking, resourceId) {
+  return Math.max(1, Math.round(minutesBetween(booking.TimeFrom, booking.TimeTo) / resourceSchedule(resourceId).slotMinutes));
+}
+
+/* reload a resource's slots for the shown range (folded slots of a long booking come back) */
+async function reloadResourceSlots(resourceId) {
+  const r = resources.find(x => x.ID === String(resourceId));
+  if (!r) return;
+  const dateStr = $('#datePicker').value || todayStr();
+  const perDay = await Promise.all(rangeDates(dateStr).map(d => getSlotsCached(currentCustomerId(), d, r.ID)));
+  slotsMap[r.ID] = composeResourceSlots(r, perDay);
+  renderGrid(dateStr);
+}
+
+/**
+ * Move the current booking `old` to `newSlot` on `resource`; a longer booking keeps its length.
+ * The grid shows both slots as pending while the request is in flight;
+ * on failure the original registration is restored.
+ */
+async function moveBooking(old, newSlot, resource, customerId) {
+  if (pendingMove) { toast(t('move.busy')); return false; }
+  const run = moveTargetRun(old, newSlot, resource.ID);
+  if (!run) { toast(t('move.noRoom'), 'error'); return false; }
+  const prev = old ? { ...old } : null;
+  const fromObj = old ? findSlotInMap(old.Resource_Id, old.Appoitment_Id) : null;
+  const fromRegId = fromObj ? fromObj.Register_Id : undefined;
+  const dateStr = $('#datePicker').value || todayStr();
+  const wasLong = !!prev && bookingSlotCount(prev, prev.Resource_Id) > 1;
+
+  // optimistic: point the session registration at the new slot (folding the slots it now covers), flag both as pending
+  const folded = run.slice(1);
+  const newTimeTo = newSlot.TimeTo;
+  const resKey = String(resource.ID);
+  if (folded.length) {
+    newSlot.TimeTo = run[run.length - 1].TimeTo;
+    slotsMap[resKey] = (slotsMap[resKey] || []).filter(s => !folded.includes(s));
+  }
+  pendingMove = { from: fromObj, to: newSlot };
+  if (fromObj) delete fromObj.Register_Id;
+  registeredSlot = { Appoitment_Id: newSlot.Appoitment_Id, Resource_Id: resource.ID, TimeFrom: newSlot.TimeFrom, TimeTo: newSlot.TimeTo };
+  setStatus(t('move.pending'));
+  renderGrid(dateStr);
+
+  try {
+    const appt = await rescheduleAppointmentAPI(customerId, prev && prev.Appoitment_Id, newSlot.Appoitment_Id, resource.ID, run.map(s => s.Appoitment_Id));
+    invalidateSlot(prev);
+    invalidateSlot({ ...newSlot, Resource_Id: resource.ID });
+    const booked = reconcileSlot(resource.ID, newSlot, appt);
+    booked.Register_Id = customerId;
+    registeredSlot = { Appoitment_Id: booked.Appoitment_Id, Resource_Id: resource.ID, TimeFrom: booked.TimeFrom, TimeTo: booked.TimeTo };
+    pendingMove = null;
+    setStatus(t('move.done'));
+    renderGrid(dateStr);
+    if (wasLong) await reloadResourceSlots(prev.Resource_Id);
+    return true;
+  } catch (err) {
+    console.error(err);
+    pendingMove = null;
+    delete newSlot.Register_Id;
+    if (folded.length) {
+      newSlot.TimeTo = newTimeTo;
+      slotsMap[resKey] = slotsMap[resKey].concat(folded).sort((a, b) => String(a.TimeFrom).localeCompare(String(b.TimeFrom)));
+    }
+    if (fromObj && fromRegId !== undefined) fromObj.Register_Id = fromRegId;
+    registeredSlot = prev;
+    setStatus(t('move.failedStatus', { error: describeError(err) }), true);
+    renderGrid(dateStr);
+    toast(t('move.failed', { error: err.message || t('error.seeConsole') }), 'error');
+    return false;
+  }
+}
+
+/* ====================
+   Cancel API integration
+   ==================== */
+
+/**
+ * Call server cancel endpoint to release a booking.
+ * Body format:
+ * { "Customer_Id":"1", "Appointment_Id":"7921", "Reason":"..." }
+ *
+ * Returns the released slot (server copy when provided) or throws with the server message.
+ */
+async function cancelAppointmentAPI(customerId, appointmentId, reason) {
+  if (!appointmentId) throw new Error('Missing Appointment_Id');
+  const body = {
+    Customer_Id: String(customerId),
+    Appointment_Id: String(appointmentId),
+    Reason: reason ?? ''
+  };
+
+  const resp = expectSuccess(await apiPostJson(CONFIG.CANCEL_ENDPOINT, body));
+  const data = Array.isArray(resp.data) ? resp.data[0] : (resp.data || {});
+  return data;
+}
+
+/* cancellation policy: { ok, message } — future bookings outside the cutoff window only */
+function cancellationPolicy(slot, now = new Date()) {
+  const start = toInstant(slot.TimeFrom);
+  if (isNaN(start.getTime())) return { ok: false, message: t('policy.noStart') };
+  const hoursLeft = (start.getTime() - now.getTime()) / 3600000;
+  if (hoursLeft <= 0) return { ok: false, message: t('policy.started') };
+  if (hoursLeft < CONFIG.CANCEL_CUTOFF_HOURS) {
+    return { ok: false, message: t('policy.cutoff', { hours: CONFIG.CANCEL_CUTOFF_HOURS }) };
+  }
+  return { ok: true, message: t('policy.free', { hours: CONFIG.CANCEL_CUTOFF_HOURS }) };
+}
+
+/**
+ * Cancel `slot` (must be in slotsMap) for the current customer and mark it available again
+ * in place; a multi-slot booking also reloads its resource so the folded slots come back.
+ */
+async function cancelBooking(slot, reason) {
+  const customerId = currentCustomerId();
+  const resourceId = String(slot.Resource_Id ?? slot.ResourceId);
+  const wasLong = bookingSlotCount(slot, resourceId) > 1;
+
+  const released = await cancelAppointmentAPI(customerId, slot.Appoitment_Id, reason);
+  invalidateSlot(slot);
+
+  ['Register_Id', 'Register_Subscribe_Number', 'Full_Name', 'Phone', 'Birth_Date', 'Notes'].forEach(k => delete slot[k]);
+  slot.Status = 1;
+  setSlotDescription(slot, 'status.available');
+  reconcileSlot(resourceId, slot, { ...released, Register_Id: undefined });
+  if (registeredSlot && String(registeredSlot.Appoitment_Id) === String(slot.Appoitment_Id)) registeredSlot = null;
+
+  renderGrid($('#datePicker').value || todayStr());
+  if (wasLong) await reloadResourceSlots(resourceId);
+}
+
+/* cancel dialog (reuses the register/update modal) */
+function openCancelModal(slot) {
+  openModal('cancel', { slot, customerId: currentCustomerId() });
+}
+
+/* ====================
+   View / Details support
+   ==================== */
+
+/**
+ * Fetch appointment details for a specific appointment or resource/date.
+ * If `appId` provided, try to find exact appointment in server response (or slotsMap).
+ * If slotObj provided directly, uses that immediately.
+ * Returns a slot-like object or null.
+ */
+async function fetchAppointmentDetails({ customerId, dateStr, resourceId, appId = null, slotObj = null }) {
+  if (slotObj) return slotObj;
+
+  if (slotsMap[String(resourceId)]) {
+    const found = (slotsMap[String(resourceId)] || []).find(s => {
+      if (appId && s.Appoitment_Id) return String(s.Appoitment_Id) === String(appId);
+      return false;
+    });
+    if (found) return found;
+  }
+
+  try {
+    const arr = await fetchSlotsForResource(customerId, dateStr, resourceId);
+    if (!arr || arr.length === 0) return null;
+    if (appId) {
+      const f = arr.find(s => String(s.Appoitment_Id) === String(appId));
+      if (f) return f;
+    }
+    return arr[0] || null;
+  } catch (err) {
+    console.warn('fetchAppointmentDetails error', err);
+    return null;
+  }
+}
+
+/**
+ * Open view modal.
+ * - slotObj: slot object to display
+ * - options: { editable: boolean, onUpdated: fn } editable = true => show status + notes + Update button
+ */
+function openViewModal(slotObj, options = {}) {
+  const viewModal = $('#viewModal');
+  const wrap = $('#viewTableWrap');
+  const actionsWrap = $('#viewModalActions');
+  const editable = !!options.editable;
+
+  // Build either read-only table OR editable form
+  if (!slotObj) {
+    wrap.replaceChildren(h('div', { style: 'padding:12px;color:var(--muted)' }, t('view.none')));
+  } else {
+    if (!editable) {
+      const rows = [
+        ['view.appointmentNo', slotObj.Appoitment_Id ?? '—'],
+        ['view.resourceId', slotObj.Resource_Id ?? slotObj.ResourceId ?? '—'],
+        ['view.date', slotObj.TimeFrom ? formatShortDateStr(slotDateStr(slotObj.TimeFrom)) : (slotObj.Date ?? '—')],
+        ['view.timeFrom', slotObj.TimeFrom ? fmtTime(slotObj.TimeFrom) : '—'],
+        ['view.timeTo', slotObj.TimeTo ? fmtTime(slotObj.TimeTo) : '—'],
+        ['view.status', localized(slotObj, 'Description') || (slotObj.Status === 1 ? t('status.available') : slotObj.Status) || '—'],
+        ['view.registeredUser', slotObj.Register_Id ?? '—'],
+        ['view.subscribeNo', slotObj.Register_Subscribe_Number ?? '—'],
+        ['view.fullName', slotObj.Full_Name ?? '—'],
+        ['view.phone', slotObj.Phone ?? '—'],
+        ['view.birthDate', slotObj.Birth_Date ?? '—'],
+        ['view.color', slotObj.Color ?? '—'],
+        ['view.notes', slotObj.Notes || '—']
+      ];
+
+      wrap.replaceChildren(h('div', { className: 'view-table-wrap' },
+        h('table', { className: 'view-table' }, rows.map(([k, v]) => h('tr', null, h('th', null, t(k)), h('td', null, v))))));
+    } else {
+      // editable form layout — status select + notes textarea
+      const currentStatus = String(slotObj.Status ?? 1);
+      const currentNotes = slotObj.Notes ?? '';
+      const row = (label, ...cells) => h('tr', null, h('th', null, label), h('td', null, ...cells));
+
+      wrap.replaceChildren(h('div', { className: 'view-table-wrap' },
+        h('div', { style: 'padding:6px 8px;' },
+          h('table', { className: 'view-table', style: 'margin-bottom:10px;' },
+            row(t('view.appointmentNo'), slotObj.Appoitment_Id ?? '—'),
+            row(t('view.resource'), `${slotObj.Resource_Id ?? slotObj.ResourceId ?? '—'} — ${slotResourceName(slotObj)}`),
+            row(t('view.date'), slotObj.TimeFrom ? formatShortDateStr(slotDateStr(slotObj.TimeFrom)) : (slotObj.Date ?? '—')),
+            row(t('view.time'), `${slotObj.TimeFrom ? fmtTime(slotObj.TimeFrom) : '—'} — ${slotObj.TimeTo ? fmtTime(slotObj.TimeTo) : '—'}`),
+            row(t('view.status'),
+              h('select', { id: 'viewStatusSelect', style: 'padding:8px;border-radius:6px;border:1px solid var(--border);min-width:160px' },
+                ['1', '2', '3'].map(v => h('option', { value: v, selected: currentStatus === v }, t(`statusAction.${v}`))))),
+            row(t('view.notes'),
+              h('textarea', { id: 'viewNotesInput', rows: 4, style: 'width:100%;padding:8px;border-radius:6px;border:1px solid var(--border)', value: currentNotes }))))));
+    }
+  }
+
+  urlAppointmentOpened(slotObj && slotObj.Appoitment_Id);
+
+  // Rebuild actions area depending on editable flag
+  actionsWrap.replaceChildren();
+  if (editable) {
+    const updateBtn = document.createElement('button');
+    updateBtn.className = 'btn primary';
+    updateBtn.textContent = t('view.update');
+    updateBtn.addEventListener('click', async () => {
+      // gather values and call API
+      try {
+        const appId = slotObj.Appoitment_Id;
+        if (!appId) {
+          toast(t('view.missingId'), 'error');
+          return;
+        }
+        const statusVal = document.getElementById('viewStatusSelect').value;
+        const notesVal = document.getElementById('viewNotesInput').value;
+
+        setStatus(t('view.sending'));
+        const resp = await updateAppointmentAPI(appId, statusVal, notesVal);
+        if (resp && String(resp.result).toLowerCase() === 'success') {
+          // update local slot object to reflect server change
+          // prefer to update fields that we show — Status, Description_En/_Ar (simple map), Notes
+          slotObj.Status = Number(statusVal);
+          slotObj.Notes = notesVal;
+          // map simple human label
+          setSlotDescription(slotObj, `status.${statusVal === '2' || statusVal === '3' ? statusVal : 1}`);
+
+          // persist change into slotsMap if present
+          const resArr = slotsMap[String(slotObj.Resource_Id)] || slotsMap[String(slotObj.ResourceId)] || [];
+          const found = resArr.find(s => String(s.Appoitment_Id) === String(slotObj.Appoitment_Id));
+          if (found) {
+            found.Status = slotObj.Status;
+            found.Description_En = slotObj.Description_En;
+            found.Description_Ar = slotObj.Description_Ar;
+            found.Notes = slotObj.Notes;
+          }
+
+          invalidateSlot(slotObj);
+          setStatus(t('view.saved'));
+          closeViewModal();
+          renderGrid($('#datePicker').value || todayStr());
+          toast(t('view.success'), 'success');
+          if (typeof options.onUpdated === 'function') options.onUpdated(slotObj);
+        } else {
+          const msg = serverMessage(resp) || t('view.unknownResponse');
+          setStatus(t('view.failed'), true);
+          toast(t('view.failedMsg', { error: msg }), 'error');
+        }
+      } catch (err) {
+        console.error(err);
+        setStatus(t('view.failedStatus', { error: describeError(err) }), true);
+        toast(t('view.sendFailed'), 'error');
+      }
+    });
+    actionsWrap.appendChild(updateBtn);
+  }
+
+  if (slotObj && slotObj.TimeFrom && !isSlotAvailable(slotObj)) {
+    const icsBtn = document.createElement('button');
+    icsBtn.className = 'btn';
+    icsBtn.textContent = t('export.addToCalendar');
+    icsBtn.addEventListener('click', () => exportSlotIcs(slotObj));
+    actionsWrap.appendChild(icsBtn);
+  }
+
+  // my own upcoming booking -> offer cancellation
+  if (slotObj && isMySlot(slotObj)) {
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn danger';
+    cancelBtn.textContent = t('slot.cancel');
+    cancelBtn.addEventListener('click', () => {
+      closeViewModal();
+      openCancelModal(slotObj);
+    });
+    actionsWrap.appendChild(cancelBtn);
+  }
+
+  // Always show close button
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'btn';
+  closeBtn.textContent = t('view.close');
+  closeBtn.addEventListener('click', closeViewModal);
+  actionsWrap.appendChild(closeBtn);
+
+  showDialog(viewModal, closeViewModal);
+}
+
+/* Close view modal */
+function closeViewModal() {
+  const viewModal = $('#viewModal');
+  urlAppointmentClosed();
+  $('#viewTableWrap').replaceChildren();
+  $('#viewModalActions').replaceChildren();
+  hideDialog(viewModal);
+}
+
+/* ====================
+   Export (iCalendar / CSV), generated in the browser
+   ==================== */
+
+/* UTC stamp for iCalendar: 20261019T050000Z */
+function icsStamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/* TEXT value escaping (RFC 5545 3.3.11) */
+function icsText(v) {
+  return String(v ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/* fold content lines longer than 75 octets (continuation lines start with a space) */
+function icsFold(line) {
+  const encoder = new TextEncoder();
+  const out = [];
+  let cur = '';
+  for (const ch of line) {
+    if (encoder.encode(cur + ch).length > (out.length ? 74 : 75)) { out.push(cur); cur = ''; }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+/* one VEVENT; times are written in UTC (…Z) so every calendar app places them correctly
+   whatever zone the phone is in - no VTIMEZONE is needed */
+function slotToVevent(slot, stampMs) {
+  const from = toInstant(slot.TimeFrom).getTime();
+  const to = toInstant(slot.TimeTo).getTime();
+  const resource = slotResourceName(slot);
+  const id = slot.Appoitment_Id ?? `${slot.Resource_Id}-${slot.TimeFrom}`;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${icsText(id)}@${location.hostname || 'masterfit-calendar'}`,
+    `DTSTAMP:${icsStamp(stampMs)}`,
+    `DTSTART:${icsStamp(from)}`,
+    `DTEND:${icsStamp(isNaN(to) ? from + resourceSchedule(slot.Resource_Id).slotMinutes * 60000 : to)}`,
+    `SUMMARY:${icsText(t('export.eventSummary', { resource }))}`,
+    `LOCATION:${icsText(resource)}`,
+    `DESCRIPTION:${icsText(t('export.eventDescription', { id: String(id) }) + (slot.Notes ? `\n${slot.Notes}` : ''))}`,
+    'END:VEVENT'
+  ];
+  return lines;
+}
+
+function buildIcs(slots) {
+  const stamp = Date.now();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Masterfit//Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...slots.filter(s => !isNaN(toInstant(s.TimeFrom))).flatMap(s => slotToVevent(s, stamp)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+/* quote a CSV field; a leading = + - @ would be run as a formula by spreadsheets, so it is neutralised */
+function csvField(v) {
+  let str = String(v ?? '');
+  if (/^[=+\-@]/.test(str) && !/^[+-]?\d[\d\s]*$/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function hhmm(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/* one row per slot: business-zone date/times, resource, status and (staff) client details */
+function buildCsv(slots) {
+  const head = ['view.date', 'view.timeFrom', 'view.timeTo', 'view.resourceId', 'view.resource', 'view.appointmentNo',
+    'view.status', 'view.registeredUser', 'view.fullName', 'view.phone', 'view.subscribeNo', 'view.notes'].map(k => t(k));
+  const rows = slots.map(s => {
+    const from = wallTime(s.TimeFrom);
+    const to = wallTime(s.TimeTo);
+    return [from.dateStr, hhmm(from.minutes), hhmm(to.minutes), s.Resource_Id ?? s.ResourceId, slotResourceName(s), s.Appoitment_Id,
+      localized(s, 'Description') || (isSlotAvailable(s) ? t('status.available') : ''),
+      s.Register_Id, s.Full_Name, s.Phone, s.Register_Subscribe_Number, s.Notes];
+  });
+  // BOM so Excel opens the UTF-8 (Arabic names) correctly
+  return '\uFEFF' + [head, ...rows].map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* "Add to calendar" for a single appointment */
+function exportSlotIcs(slot) {
+  if (!slot || !slot.TimeFrom) return;
+  downloadFile(`appointment-${slot.Appoitment_Id ?? slotDateStr(slot.TimeFrom)}.ics`, buildIcs([slot]), 'text/calendar;charset=utf-8');
+}
+
+/* loaded slots of the shown date(s), ordered by start then resource: every slot for staff,
+   only the customer's own bookings otherwise (the files would carry other clients' details) */
+function slotsForExport(dateStr) {
+  const dates = rangeDates(dateStr);
+  return resources.flatMap(r => slotsMap[String(r.ID)] || [])
+    .filter(s => dates.includes(slotDateStr(s.TimeFrom)) && (isStaff() || isMySlot(s)))
+    .sort((a, b) => toInstant(a.TimeFrom) - toInstant(b.TimeFrom) || String(a.Resource_Id).localeCompare(String(b.Resource_Id)));
+}
+
+function exportDay(format) {
+  const dateStr = $('#datePicker').value || todayStr();
+  let slots = slotsForExport(dateStr);
+  if (format === 'ics') slots = slots.filter(s => !isSlotAvailable(s) && !isNaN(toInstant(s.TimeFrom))); // what buildIcs writes
+  if (!slots.length) { setStatus(t('export.empty'), true); return; }
+  const dates = rangeDates(dateStr);
+  const name = `appointments-${dates[0]}${dates.length > 1 ? `_${dates[dates.length - 1]}` : ''}`;
+  if (format === 'ics') downloadFile(`${name}.ics`, buildIcs(slots), 'text/calendar;charset=utf-8');
+  else downloadFile(`${name}.csv`, buildCsv(slots), 'text/csv;charset=utf-8');
+  setStatus(t('export.done', { n: slots.length }));
+}
+
+/* ====================
+   Print roster: one section per resource, built from resources + slotsMap
+   ==================== */
+
+/* roster status bucket of a slot: 'available', '1' | '2' | '3' (appointment status) */
+function rosterStatus(slot) {
+  if (isSlotAvailable(slot)) return 'available';
+  return ['1', '2', '3'].includes(String(slot.Status)) ? String(slot.Status) : '1';
+}
+
+function rosterMatches(slot, filter) {
+  const status = rosterStatus(slot);
+  if (filter === 'all') return true;
+  if (filter === 'booked') return status !== 'available';
+  return status === filter;
+}
+
+function openRoster() {
+  const sel = $('#rosterResource');
+  sel.replaceChildren(h('option', { value: '' }, t('nav.allResources')));
+  resources.forEach(r => {
+    const opt = document.createElement('option');
+    opt.value = r.ID;
+    opt.textContent = resourceName(r);
+    sel.appendChild(opt);
+  });
+  sel.value = resourceFilter;
+  $('#rosterPanel').hidden = false;
+  document.body.classList.add('roster-open');
+  renderRoster();
+}
+
+function closeRoster() {
+  $('#rosterPanel').hidden = true;
+  document.body.classList.remove('roster-open');
+}
+
+/* (re)build the roster for the shown date range; every resource starts a new printed page */
+function renderRoster() {
+  const dateStr = $('#datePicker').value || todayStr();
+  const dates = rangeDates(dateStr);
+  const resourceId = $('#rosterResource').value;
+  const filter = $('#rosterStatusFilter').value;
+  const body = $('#rosterBody');
+  body.replaceChildren();
+  $('#rosterRange').textContent = formatDisplayRange(dateStr);
+
+  const picked = resources.filter(r => !resourceId || r.ID === resourceId);
+  picked.forEach(r => {
+    const slots = (slotsMap[String(r.ID)] || [])
+      .filter(s => dates.includes(slotDateStr(s.TimeFrom)) && rosterMatches(s, filter))
+      .sort((a, b) => toInstant(a.TimeFrom) - toInstant(b.TimeFrom));
+
+    const section = document.createElement('section');
+    section.className = 'roster-resource';
+    const title = document.createElement('h3');
+    title.textContent = resourceName(r);
+    section.appendChild(title);
+
+    if (!slots.length) {
+      const empty = document.createElement('p');
+      empty.className = 'roster-empty';
+      empty.textContent = t('roster.none');
+      section.appendChild(empty);
+      body.appendChild(section);
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'roster-table';
+    table.appendChild(h('thead', null, h('tr', null, ['view.time', 'view.status', 'view.fullName', 'view.notes'].map(k => h('th', null, t(k))))));
+    const tbody = document.createElement('tbody');
+    let lastDate = '';
+    slots.forEach(s => {
+      const day = slotDateStr(s.TimeFrom);
+      if (dates.length > 1 && day !== lastDate) {
+        // week range: a date row before each day's appointments
+        const dayRow = tbody.insertRow();
+        dayRow.className = 'roster-day';
+        const cell = dayRow.insertCell();
+        cell.colSpan = 4;
+        cell.textContent = formatShortDateStr(day);
+        lastDate = day;
+      }
+      const status = rosterStatus(s);
+      const showClient = isStaff() || isMySlot(s); // customers see who booked only their own slots (as in slotsForExport)
+      const row = tbody.insertRow();
+      row.className = `roster-${status === 'available' ? 'available' : statusClass(s)}`;
+      [
+        `${fmtTime(s.TimeFrom)} – ${fmtTime(s.TimeTo)}`,
+        status === 'available' ? t('status.available') : (isMySlot(s) ? t('status.registered') : statusLabel(s.Status)),
+        showClient ? (s.Full_Name || (s.Register_Id ? `#${s.Register_Id}` : '—')) : '—',
+        showClient ? (s.Notes || '') : ''
+      ].forEach(text => { row.insertCell().textContent = text; });
+    });
+    table.appendChild(tbody);
+    section.appendChild(table);
+    body.appendChild(section);
+  });
+}
+
+/* ====================
+   My appointments: the signed-in customer's bookings over a date range (side panel)
+   ==================== */
+let myAppointments = [];   // [{ slot, resource }] from the last scan, kept in step with the grid
+let myAppointmentsRun = 0; // incremented per scan; closing the panel or a new scan abandons the old one
+
+/* slots of one resource held by the customer (Register_Id) */
+function customerSlots(slots, customerId) {
+  return (slots || []).filter(s => s.Register_Id && Number(s.Register_Id) === Number(customerId));
+}
+
+function openMyAppointments() {
+  if (!session) { openSignIn(); return; }
+  if (!$('#myApptsFrom').value) {
+    const today = todayStr();
+    $('#myApptsFrom').value = addDaysStr(today, -CONFIG.MY_APPOINTMENTS_PAST_DAYS);
+    $('#myApptsTo').value = addDaysStr(today, CONFIG.MY_APPOINTMENTS_AHEAD_DAYS);
+  }
+  $('#myApptsPanel').hidden = false;
+  loadMyAppointments();
+}
+
+function closeMyAppointments() {
+  myAppointmentsRun++; // stop a running scan
+  $('#myApptsPanel').hidden = true;
+}
+
+/**
+ * Scan the panel's date range day by day (every resource per day in parallel, through the
+ * slot cache) and collect the customer's bookings; capped at CONFIG.MY_APPOINTMENTS_MAX_DAYS.
+ */
+async function loadMyAppointments() {
+  const run = ++myAppointmentsRun;
+  const customerId = currentCustomerId();
+  const fromDate = $('#myApptsFrom').value;
+  const toDate = $('#myApptsTo').value || fromDate;
+  const state = $('#myApptsState');
+  if (!fromDate || toDate < fromDate) {
+    state.textContent = t('mine.invalid');
+    return;
+  }
+
+  const found = [];
+  let failedDays = 0;
+  for (let d = fromDate, n = 0; d <= toDate && n < CONFIG.MY_APPOINTMENTS_MAX_DAYS; d = addDaysStr(d, 1), n++) {
+    if (run !== myAppointmentsRun) return; // closed or replaced by a newer scan
+    state.textContent = t('mine.progress', { date: formatShortDateStr(d) });
+    let failed = false;
+    const perResource = await Promise.all(resources.map(async r => {
+      try {
+        const slots = composeResourceSlots(r, [await getSlotsCached(customerId, d, r.ID)]);
+        return customerSlots(slots, customerId).map(slot => ({ slot, resource: r }));
+      } catch (err) {
+        console.warn('my appointments: failed to load', d, r.ID, err);
+        failed = true;
+        return [];
+      }
+    }));
+    if (failed) failedDays++;
+    found.push(...perResource.flat());
+  }
+  if (run !== myAppointmentsRun) return;
+
+  myAppointments = found;
+  syncMyAppointmentsWithGrid();
+  const capped = addDaysStr(fromDate, CONFIG.MY_APPOINTMENTS_MAX_DAYS - 1) < toDate;
+  state.textContent = t('mine.found', { n: myAppointments.length })
+    + (capped ? t('mine.capped', { days: CONFIG.MY_APPOINTMENTS_MAX_DAYS }) : '')
+    + (failedDays ? t('mine.failedDays', { n: failedDays }) : '');
+  renderMyAppointments();
+}
+
+/* the loaded grid is the freshest copy of its dates: take those days' bookings from slotsMap */
+function syncMyAppointmentsWithGrid() {
+  if (!renderedRange) return;
+  const fromDate = $('#myApptsFrom').value;
+  const toDate = $('#myApptsTo').value || fromDate;
+  const dates = renderedRange.dates.filter(d => d >= fromDate && d <= toDate);
+  const customerId = currentCustomerId();
+  myAppointments = myAppointments.filter(a => !dates.includes(slotDateStr(a.slot.TimeFrom)));
+  resources.forEach(r => customerSlots(slotsMap[String(r.ID)], customerId)
+    .filter(s => dates.includes(slotDateStr(s.TimeFrom)))
+    .forEach(slot => myAppointments.push({ slot, resource: r })));
+}
+
+/* upcoming (not yet ended, soonest first) and past (latest first) lists */
+function renderMyAppointments() {
+  const now = new Date();
+  const byStart = (a, b) => toInstant(a.slot.TimeFrom) - toInstant(b.slot.TimeFrom);
+  const upcoming = myAppointments.filter(a => toInstant(a.slot.TimeTo || a.slot.TimeFrom) > now).sort(byStart);
+  const past = myAppointments.filter(a => !upcoming.includes(a)).sort((a, b) => byStart(b, a));
+  const fill = (list, items, emptyKey, isUpcoming) => list.replaceChildren(...(items.length
+    ? items.map(a => myAppointmentItem(a, isUpcoming))
+    : [h('li', { className: 'search-empty' }, t(emptyKey))]));
+  fill($('#myApptsUpcoming'), upcoming, 'mine.noneUpcoming', true);
+  fill($('#myApptsPast'), past, 'mine.nonePast', false);
+  $('#myApptsUpcomingCount').textContent = String(upcoming.length);
+  $('#myApptsPastCount').textContent = String(past.length);
+}
+
+/* address of the grid on a date (same view / resource parameters as now) */
+function myAppointmentDateUrl(dateStr) {
+  const q = new URLSearchParams(location.search);
+  q.set('date', dateStr);
+  q.delete('appt');
+  return `${location.pathname}?${q}`;
+}
+
+function myAppointmentItem({ slot, resource }, upcoming) {
+  const day = slotDateStr(slot.TimeFrom);
+  const run = action => (e) => { e.preventDefault(); goToMyAppointment(slot, resource, action); };
+  const actions = [h('button', { type: 'button', className: 'btn', onclick: run('view') }, t('mine.view'))];
+  if (upcoming && Number(slot.Status) !== 3) {
+    const policy = cancellationPolicy(slot);
+    actions.push(
+      h('button', { type: 'button', className: 'btn', onclick: run('reschedule') }, t('mine.reschedule')),
+      h('button', { type: 'button', className: 'btn danger', disabled: !policy.ok, title: policy.ok ? null : policy.message, onclick: run('cancel') }, t('slot.cancel')));
+  }
+  return h('li', { className: `search-result my-appt ${statusClass(slot)}` },
+    h('div', null,
+      h('a', { href: myAppointmentDateUrl(day), className: 'my-appt-date', title: t('mine.showOnGrid'), onclick: run('show') }, formatShortDateStr(day)),
+      ` ${fmtTime(slot.TimeFrom)} — ${fmtTime(slot.TimeTo)} `,
+      h('small', null, resourceName(resource), ' · ',
+        h('span', { className: 'my-appt-status' }, statusLabel(slot.Status) || localized(slot, 'Description')))),
+    h('div', { className: 'search-result-actions' }, actions));
+}
+
+/**
+ * Show a booking's date on the grid, make an upcoming one the session booking (so it is "mine"
+ * there and can be moved), then run action: 'show' | 'view' | 'reschedule' | 'cancel'.
+ */
+async function goToMyAppointment(slot, resource, action) {
+  const dateStr = slotDateStr(slot.TimeFrom);
+  if (resourceFilter && resourceFilter !== resource.ID) {
+    resourceFilter = '';
+    $('#resourceFilter').value = '';
+  }
+  if (!rangeDates($('#datePicker').value || todayStr()).includes(dateStr)) {
+    $('#datePicker').value = dateStr;
+    $('#displayDate').textContent = formatDisplayRange(dateStr);
+  }
+  await gridLoaderCaller();
+  const live = findSlotInMap(resource.ID, slot.Appoitment_Id);
+  if (!live || Number(live.Register_Id) !== currentCustomerId()) {
+    setStatus(t('mine.gone'), true);
+    syncMyAppointmentsWithGrid();
+    renderMyAppointments();
+    return;
+  }
+  holdBooking(live, resource.ID); // past bookings can't be moved
+  const slotEl = document.querySelector(`.slot[data-app-id="${CSS.escape(String(live.Appoitment_Id))}"]`);
+  if (slotEl) {
+    slotEl.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    slotEl.classList.add('highlight');
+    setTimeout(() => slotEl.classList.remove('highlight'), 2000);
+  }
+  if (action === 'view') openViewModal(live);
+  else if (action === 'cancel') openCancelModal(live);
+  else if (action === 'reschedule') setMoveMode(true);
+}
+
+/* ====================
+   Render grid
+   ==================== */
+
+/* server marks open slots with Status 1 / "Available" description */
+function isSlotAvailable(slot) {
+  if (slot.Register_Id) return false; // somebody holds it, whatever the status says
+  return slot.Status === 1 || /available/i.test(slot.Description_En || '');
 }
 
-/* create date string yyyy-mm-dd */
-function isoDateString(d) {
-  const yyyy = d.getFullYear();
-  const mm = String(d.getMonth()+1).padStart(2,'0');
-  const dd = String(d.getDate()).padStart(2,'0');
-  return `${yyyy}-${mm}-${dd}`;
+/* appointment status label in the UI language (1 Pending / 2 Accepted / 3 Rejected) */
+function statusLabel(status) {
+  return I18N.en[`status.${Number(status)}`] ? t(`status.${Number(status)}`) : '';
 }
 
-/* nice display format for left-side dynamic date:
-   "Friday, November 07 2025" */
-function formatDisplayDateStr(dateStr) {
-  const d = new Date(dateStr);
-  if (isNaN(d.getTime())) return dateStr;
-  const opts = { weekday: 'long', month: 'long', day: '2-digit', year: 'numeric' };
-  // "Friday, November 07, 2025" - remove comma before year to match "Friday, November 07 2025"
-  const s = d.toLocaleDateString('en-US', opts);
-  return s.replace(/, (\d{4})$/, ' $1');
+function statusClass(slot) {
+  return ({ 1: 'status-pending', 2: 'status-accepted', 3: 'status-rejected' })[Number(slot.Status)] || 'status-pending';
 }
 
-/* generate row times (array of Date objects for the given date) */
-function generateRowTimes(dateStr) {
-  const rows = [];
-  const [y,m,d] = dateStr.split('-').map(s => parseInt(s,10));
-  for (let h = CONFIG.SLOT_MIN_TIME; h <= CONFIG.SLOT_MAX_TIME; h++) {
-    const step = CONFIG.SLOT_DURATION_MIN;
-    for (let mins = 0; mins < 60; mins += step) {
-      const dt = new Date(y, m-1, d, h, mins, 0);
-      rows.push(dt);
-    }
-  }
-  return rows;
+let renderedRange = null; // { dates, shown, fromMin, toMin } of the last renderGrid (live patches reuse it)
+
+/* rendered grid kept between renders so unchanged rows, cells and slot boxes are reused:
+   { key, cells: Map cellKey -> cell element, slots: Map slotKey -> { el, sig } } */
+let gridLayout = null;
+const slotElData = new WeakMap(); // slot element -> { slot, resource } for delegated event handlers
+
+function clearGrid() {
+  gridLayout = null;
+  $('#gridHeader').replaceChildren();
+  $('#gridBody').replaceChildren();
 }
 
-/* ====================
-   Mock data (fallback)
-   ==================== */
-const MOCK = {
-  resources: [
-    { ID: '1', Name_En: 'Conference Rooms' },
-    { ID: '2', Name_En: 'Board Room A' },
-    { ID: '3', Name_En: 'Meeting Room B' },
-    { ID: '4', Name_En: 'Personnel' }
-  ],
-  // map key: `${customerId}|${date}|${resourceId}`
-  slots: {
-    '1|2025-11-03|1': [
-      { Appoitment_Id: 7909, Date:'2025-11-03', TimeFrom:'2025-11-03T09:00:00', TimeTo:'2025-11-03T09:30:00', Status:1, Description_En:'Available' },
-      { Appoitment_Id: 7910, Date:'2025-11-03', TimeFrom:'2025-11-03T10:00:00', TimeTo:'2025-11-03T10:30:00', Status:2, Description_En:'Available' }
-    ],
-    '1|2025-11-03|2': [
-      { Appoitment_Id: 7920, Date:'2025-11-03', TimeFrom:'2025-11-03T09:00:00', TimeTo:'2025-11-03T09:30:00', Status:1, Description_En:'Available' },
-      { Appoitment_Id: 7921, Date:'2025-11-03', TimeFrom:'2025-11-03T11:00:00', TimeTo:'2025-11-03T11:30:00', Status:1, Description_En:'Available', Register_Id: CONFIG.CUSTOMER_ID }
-    ]
-  }
-};
+function cellKey(resourceId, dateStr, rowMin) {
+  return `${resourceId}|${dateStr}|${rowMin}`;
+}
 
-/* ====================
-   API wrappers
-   ==================== */
-async function apiGet(path) {
-  const url = `${CONFIG.API_BASE}${path}`;
-  MODE = 'live';
-  if (MODE === 'mock') throw new Error('mock-mode');
-  const r = await fetch(url);
-  if (!r.ok) throw new Error(`HTTP ${r.status}`);
-  return r.json();
+function slotKey(slot, resourceId) {
+  return `${resourceId}|${slot.Appoitment_Id || slot.TimeFrom}`;
 }
 
-/* POST/PUT wrapper for update */
-async function apiPostJson(path, bodyObj) {
-  const url = `${CONFIG.API_BASE}${path}`;
-  MODE = 'live';
-  if (MODE === 'mock') throw new Error('mock-mode');
-  const r = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-      // add auth headers here if required by backend
-    },
-    body: JSON.stringify(bodyObj)
+/* one pass over the loaded slots: cellKey -> slots starting inside that row (start order kept) */
+function buildSlotIndex(resourceList, dates) {
+  const step = CONFIG.SLOT_DURATION_MIN;
+  const index = new Map();
+  resourceList.forEach(r => {
+    (slotsMap[String(r.ID)] || []).forEach(s => {
+      const { dateStr, minutes } = wallTime(s.TimeFrom);
+      if (!dates.includes(dateStr)) return;
+      const key = cellKey(r.ID, dateStr, Math.floor(minutes / step) * step);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(s);
+    });
   });
-  if (!r.ok) {
-    const txt = await r.text().catch(()=>null);
-    throw new Error(`HTTP ${r.status} ${txt||''}`);
-  }
-  return r.json();
+  return index;
 }
 
-/* GET resources (first API) */
-async function fetchResources(customerId) {
-  const path = `/MasterFit_Calender_Get_Appt_Resource_Nutration?Customer_Id=${customerId}`;
-  try {
-    const data = await apiGet(path);
-    return data;
-  } catch (err) {
-    console.warn('fetchResources failed, fallback to mock', err);
-    MODE = 'mock';
-    localStorage.setItem('mode', MODE);
-    return MOCK.resources;
+/* build the header/column layout for the current view:
+   - all resources: one group per day (single day -> no group title), resources as columns
+   - one resource picked: days as columns */
+function buildColumnGroups(dates) {
+  const multiDay = dates.length > 1;
+  const picked = resourceFilter ? resources.filter(r => r.ID === resourceFilter) : [];
+  if (picked.length) {
+    return [{
+      label: null,
+      cols: dates.map(date => ({ date, resource: picked[0], label: multiDay ? formatShortDateStr(date) : resourceName(picked[0]) }))
+    }];
   }
+  return dates.map(date => ({
+    label: multiDay ? formatShortDateStr(date) : null,
+    date,
+    cols: resources.map(r => ({ date, resource: r, label: resourceName(r) }))
+  }));
 }
 
-/* GET slots for a resource (second API) */
-async function fetchSlotsForResource(customerId, dateStr, resourceId) {
-  const path = `/MasterFit_APP_GetAppointment/Calender?Customer_Id=${customerId}&Date=${dateStr}&Resource_Id=${resourceId}`;
-  try {
-    const data = await apiGet(path);
-    if (data && data.result === 'failed') throw new Error(data.msg_en || 'Invalid Data');
-    return data;
-  } catch (err) {
-    console.warn('fetchSlotsForResource failed, fallback to mock', err);
-    MODE = 'mock';
-    localStorage.setItem('mode', MODE);
-    const key = `${customerId}|${dateStr}|${resourceId}`;
-    return MOCK.slots[key] || [];
+/* is this slot the current customer's booking (session registration or server Register_Id)? */
+function isMySlot(slot) {
+  const custId = currentCustomerId();
+  const serverRegistered = slot.Register_Id && Number(slot.Register_Id) === custId;
+  return !!(registeredSlot && registeredSlot.Appoitment_Id && String(registeredSlot.Appoitment_Id) === String(slot.Appoitment_Id))
+    || !!serverRegistered;
+}
+
+/* make one of the customer's upcoming bookings the held one that moves act on; false for past ones */
+function holdBooking(slot, resourceId) {
+  if (toInstant(slot.TimeTo || slot.TimeFrom) <= new Date()) return false;
+  if (registeredSlot && String(registeredSlot.Appoitment_Id) === String(slot.Appoitment_Id)) return true;
+  registeredSlot = { Appoitment_Id: slot.Appoitment_Id, Resource_Id: resourceId, TimeFrom: slot.TimeFrom, TimeTo: slot.TimeTo };
+  syncGridSlots(); // blocked shading depends on which booking a move would give up
+  return true;
+}
+
+/* build the slot box; it is positioned inside the row where it starts and
+   spans down over following rows according to TimeFrom–TimeTo */
+function createSlotElement(matched, r, rowMin, bookings = null) {
+  const slotEl = document.createElement('div');
+  const step = CONFIG.SLOT_DURATION_MIN;
+  const startMin = minutesOfDay(matched.TimeFrom);
+  const lengthMin = Math.max(5, slotSpanMinutes(matched) || resourceSchedule(r.ID).slotMinutes);
+
+  const pendingRole = pendingMove
+    ? (matched === pendingMove.to ? 'to' : (matched === pendingMove.from ? 'from' : null))
+    : null;
+
+  if (pendingRole === 'to') {
+    slotEl.className = 'slot registered pending';
+  } else if (pendingRole === 'from') {
+    slotEl.className = 'slot available pending';
+  } else if (isStaff() && !isSlotAvailable(matched)) {
+    slotEl.className = `slot booked staff-view ${statusClass(matched)}`;
+  } else if (isMySlot(matched)) {
+    slotEl.className = 'slot registered';
+  } else if (isSlotAvailable(matched)) {
+    slotEl.className = 'slot available';
+    const blocked = bookingBlockedReason(matched, r, { replacing: registeredSlot, bookings });
+    if (blocked) {
+      slotEl.classList.add('blocked');
+      slotEl.title = blocked;
+      slotEl.setAttribute('aria-disabled', 'true');
+    }
+  } else {
+    slotEl.className = 'slot booked';
+    slotEl.setAttribute('aria-disabled', 'true'); // someone else's booking: nothing for a customer to do here
+  }
+  if (lengthMin < step * 0.75) slotEl.classList.add('short');
+
+  // offset/height in row units (CSS multiplies by --row-h)
+  slotEl.style.setProperty('--slot-offset', String((startMin - rowMin) / step));
+  slotEl.style.setProperty('--slot-span', String(lengthMin / step));
+
+  // store meta on element
+  slotEl.dataset.resourceId = String(r.ID);
+  slotEl.dataset.appId = String(matched.Appoitment_Id || '');
+  slotEl.dataset.timeFrom = matched.TimeFrom;
+  slotEl.dataset.timeTo = matched.TimeTo;
+  slotEl.dataset.rowMin = String(rowMin);
+
+  // show time + small label
+  const label = pendingRole === 'to' ? t('slot.moving') : pendingRole === 'from' ? t('slot.releasing') : localized(matched, 'Description');
+  const range = lengthMin > step ? `${fmtTime(matched.TimeFrom)} – ${fmtTime(matched.TimeTo)}` : fmtTime(matched.TimeFrom);
+  if (slotEl.classList.contains('staff-view')) {
+    renderStaffSlot(slotEl, matched, range);
+  } else {
+    slotEl.replaceChildren(h('div', null, range), h('small', null, label));
   }
+  setMoveAttributes(slotEl, pendingRole);
+  slotElData.set(slotEl, { slot: matched, resource: r });
+  return slotEl;
+}
+
+/* everything createSlotElement's output depends on; equal signature -> the element can be reused */
+function slotSignature(slot, rowMin, resource, bookings = null) {
+  const pendingRole = pendingMove ? (slot === pendingMove.to ? 'to' : (slot === pendingMove.from ? 'from' : '')) : '';
+  const blocked = isSlotAvailable(slot) ? bookingBlockedReason(slot, resource, { replacing: registeredSlot, bookings }) : null;
+  return JSON.stringify([slot, rowMin, pendingRole, isMySlot(slot), staffSelection.has(String(slot.Appoitment_Id)), blocked]);
+}
+
+/* empty grid cell for a column at row rowMin (business minutes); shading and slots are added by syncCell */
+function renderCell(col, rowMin) {
+  const r = col.resource;
+  const cell = document.createElement('div');
+  cell.className = 'resource-col';
+  cell.dataset.resourceId = String(r.ID);
+  cell.dataset.date = col.date;
+  cell.dataset.rowMin = String(rowMin);
+  cell.setAttribute('role', 'gridcell');
+  cell.tabIndex = -1;
+  return cell;
+}
+
+/* keyed update of one cell: reuse slot boxes whose signature is unchanged, rebuild the rest */
+function syncCell(cell, resource, slots, seen, bookings) {
+  const rowMin = Number(cell.dataset.rowMin);
+  // shade periods where the resource is closed (outside hours, break, holiday)
+  const closed = closedReason(resource.ID, cell.dataset.date, rowMin);
+  cell.classList.toggle('closed', !!closed);
+  if (closed) cell.title = closed; else cell.removeAttribute('title');
+
+  const wanted = slots.map(s => {
+    const key = slotKey(s, resource.ID);
+    const sig = slotSignature(s, rowMin, resource, bookings);
+    seen.add(key);
+    const known = gridLayout.slots.get(key);
+    if (known && known.sig === sig) return known.el;
+    const el = createSlotElement(s, resource, rowMin, bookings);
+    gridLayout.slots.set(key, { el, sig });
+    return el;
+  });
+  const current = [...cell.children];
+  if (current.length !== wanted.length || current.some((el, i) => el !== wanted[i])) cell.replaceChildren(...wanted);
 }
 
 /* ====================
-   Update API integration
+   Staff mode: client details on booked slots, status colors, bulk accept/reject
    ==================== */
+const staffSelection = new Set(); // Appoitment_Id values ticked for bulk actions
+
+/* booked slot content for staff: client name, phone, subscription no., status + selection tick */
+function renderStaffSlot(slotEl, slot, range) {
+  const id = String(slot.Appoitment_Id);
+  const tick = h('input', {
+    type: 'checkbox', className: 'slot-select', title: t('slot.selectTitle'), 'aria-label': t('slot.selectAria', { id }),
+    tabIndex: -1, // keyboard: Space on the cell
+    checked: staffSelection.has(id)
+  });
+  slotEl.replaceChildren(
+    h('div', null, `${range} · ${statusLabel(slot.Status) || localized(slot, 'Description')}`),
+    h('small', { className: 'client' }, slot.Full_Name || t('slot.unknownClient')),
+    h('small', { className: 'client-meta' }, [slot.Phone, slot.Register_Subscribe_Number].filter(Boolean).join(' · ')),
+    tick);
+  slotEl.classList.toggle('selected', tick.checked);
+}
+
+/* selection tick clicked (delegated from the grid) */
+function toggleStaffSelection(slotEl, slot, tick) {
+  const id = String(slot.Appoitment_Id);
+  if (tick.checked) staffSelection.add(id); else staffSelection.delete(id);
+  slotEl.classList.toggle('selected', tick.checked);
+  updateBulkBar();
+}
+
+function clearStaffSelection() {
+  staffSelection.clear();
+  updateBulkBar();
+}
+
+function updateBulkBar() {
+  const bar = $('#bulkBar');
+  if (!bar) return;
+  bar.hidden = !isStaff();
+  $('#bulkCount').textContent = t('bulk.count', { n: staffSelection.size });
+  $('#bulkAcceptBtn').disabled = $('#bulkRejectBtn').disabled = staffSelection.size === 0;
+}
+
+/* find a loaded slot by appointment id across all resources */
+function findSlotById(appId) {
+  for (const key of Object.keys(slotsMap)) {
+    const found = slotsMap[key].find(s => String(s.Appoitment_Id) === String(appId));
+    if (found) return found;
+  }
+  return null;
+}
 
 /**
- * Call server update endpoint to update appointment status and notes.
- * Body format (server example):
- * { "Appointment_Id":"1", "Notes":"Status", "Status":"1" }
- *
- * Returns server JSON or throws.
+ * Send one update per selected appointment (in parallel) and report each result.
+ * Successful ones are updated in slotsMap and unticked; failures stay selected for a retry.
  */
-async function updateAppointmentAPI(appointmentId, statusValue, notesValue) {
-  if (!appointmentId) throw new Error('Missing Appointment_Id');
-  const body = {
-    Appointment_Id: String(appointmentId),
-    Notes: notesValue ?? '',
-    Status: String(statusValue ?? '')
-  };
+async function runBulkStatus(statusValue) {
+  const ids = [...staffSelection];
+  if (!ids.length) return;
+  const results = $('#bulkResults');
+  results.replaceChildren();
+  $('#bulkAcceptBtn').disabled = $('#bulkRejectBtn').disabled = true;
+  setStatus(t('bulk.sending', { n: ids.length }));
 
-  // real network call
-  const resp = await apiPostJson(CONFIG.UPDATE_ENDPOINT, body);
-  return resp;
+  const outcomes = await Promise.allSettled(ids.map(async id => {
+    const slot = findSlotById(id);
+    const notes = slot ? (slot.Notes ?? '') : '';
+    expectSuccess(await updateAppointmentAPI(id, statusValue, notes));
+    return slot;
+  }));
+
+  let ok = 0;
+  outcomes.forEach((o, i) => {
+    const id = ids[i];
+    const slot = findSlotById(id);
+    const li = document.createElement('li');
+    if (o.status === 'fulfilled') {
+      ok++;
+      staffSelection.delete(id);
+      if (slot) {
+        slot.Status = statusValue;
+        setSlotDescription(slot, `status.${statusValue}`);
+        invalidateSlot(slot);
+      }
+      li.className = 'ok';
+      li.textContent = `#${id} ${slot && slot.Full_Name ? slot.Full_Name + ' ' : ''}— ${statusLabel(statusValue)}`;
+    } else {
+      li.className = 'failed';
+      li.textContent = `#${id} ${slot && slot.Full_Name ? slot.Full_Name + ' ' : ''}— ${t('bulk.failed', { error: describeError(o.reason) })}`;
+    }
+    results.appendChild(li);
+  });
+
+  renderGrid($('#datePicker').value || todayStr());
+  updateBulkBar();
+  setStatus(t(`bulk.summary.${statusValue}`, { ok, n: ids.length }), ok < ids.length);
 }
 
 /* ====================
-   View / Details support
+   Move my booking: drag the registered slot onto a free slot, or keyboard "move mode"
    ==================== */
+let moveMode = false; // keyboard/touch alternative to drag-and-drop
 
-/**
- * Fetch appointment details for a specific appointment or resource/date.
- * If `appId` provided, try to find exact appointment in server response (or slotsMap).
- * If slotObj provided directly, uses that immediately.
- * Returns a slot-like object or null.
- */
-async function fetchAppointmentDetails({ customerId, dateStr, resourceId, appId = null, slotObj = null }) {
-  if (slotObj) return slotObj;
+function canDropOn(slot, resource) {
+  return !!registeredSlot && !pendingMove && isSlotAvailable(slot) && !slot.Register_Id && !isMySlot(slot)
+    && !bookingBlockedReason(slot, resource, { replacing: registeredSlot })
+    && !!moveTargetRun(registeredSlot, slot, resource.ID);
+}
 
-  if (slotsMap[String(resourceId)]) {
-    const found = (slotsMap[String(resourceId)] || []).find(s => {
-      if (appId && s.Appoitment_Id) return String(s.Appoitment_Id) === String(appId);
-      return false;
-    });
-    if (found) return found;
+/* ask for confirmation (old vs new time) through the existing move modal */
+function requestMove(slot, resource) {
+  setMoveMode(false, true);
+  if (!canDropOn(slot, resource)) {
+    const blocked = registeredSlot && (bookingBlockedReason(slot, resource, { replacing: registeredSlot })
+      || (!moveTargetRun(registeredSlot, slot, resource.ID) && isSlotAvailable(slot) ? t('move.noRoom') : null));
+    setStatus(blocked || t('slot.unavailable'), true);
+    return;
   }
+  openModal('update', { old: registeredSlot, slot, resource, customerId: currentCustomerId() });
+}
 
-  try {
-    const arr = await fetchSlotsForResource(customerId, dateStr, resourceId);
-    if (!arr || arr.length === 0) return null;
-    if (appId) {
-      const f = arr.find(s => String(s.Appoitment_Id) === String(appId));
-      if (f) return f;
-    }
-    return arr[0] || null;
-  } catch (err) {
-    console.warn('fetchAppointmentDetails error', err);
-    return null;
+function setMoveMode(on, quiet = false) {
+  if (moveMode === !!on) return;
+  moveMode = !!on;
+  document.body.classList.toggle('move-mode', moveMode);
+  if (moveMode) {
+    setStatus(t('move.mode'));
+    // arrow keys pick the target from here; Enter moves
+    const first = document.querySelector('#gridBody .slot.available:not(.pending):not(.blocked)');
+    if (first) focusGridCell(first.parentElement);
+  } else if (!quiet) {
+    setStatus(t('move.cancelled'));
   }
 }
 
-/**
- * Open view modal.
- * - slotObj: slot object to display
- * - options: { editable: boolean, onUpdated: fn } editable = true => show status + notes + Update button
- */
-function openViewModal(slotObj, options = {}) {
-  const viewModal = $('#viewModal');
-  const wrap = $('#viewTableWrap');
-  const actionsWrap = $('#viewModalActions');
-  const editable = !!options.editable;
+/* drag source (my booking) and drop targets (free slots): attributes only, events are delegated */
+function setMoveAttributes(slotEl, pendingRole) {
+  if (pendingRole || isStaff()) return;
+  if (slotEl.classList.contains('registered')) {
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'slot-cancel';
+    cancelBtn.tabIndex = -1; // keyboard: Enter on the cell opens details with Cancel
+    cancelBtn.title = t('slot.cancel');
+    cancelBtn.setAttribute('aria-label', t('slot.cancel'));
+    cancelBtn.textContent = '×';
+    slotEl.appendChild(cancelBtn);
 
-  // Build either read-only table OR editable form
-  if (!slotObj) {
-    wrap.innerHTML = `<div style="padding:12px;color:var(--muted)">No details available for this selection.</div>`;
-  } else {
-    if (!editable) {
-      const rows = [
-        ['Appointment No', slotObj.Appoitment_Id ?? '—'],
-        ['Resource ID', slotObj.Resource_Id ?? slotObj.ResourceId ?? '—'],
-        ['Appointment Date', slotObj.Date ?? (slotObj.TimeFrom ? slotObj.TimeFrom.split('T')[0] : '—')],
-        ['Time From', slotObj.TimeFrom ? fmtTime(slotObj.TimeFrom) : '—'],
-        ['Time To', slotObj.TimeTo ? fmtTime(slotObj.TimeTo) : '—'],
-        ['Status', slotObj.Description_En ?? (slotObj.Status === 1 ? 'Available' : slotObj.Status) ?? '—'],
-        ['Registered User ID', slotObj.Register_Id ?? '—'],
-        ['Register Subscribe No', slotObj.Register_Subscribe_Number ?? '—'],
-        ['Full Name', slotObj.Full_Name ?? '—'],
-        ['Phone', slotObj.Phone ?? '—'],
-        ['Birth Date', slotObj.Birth_Date ?? '—'],
-        ['Color', slotObj.Color ?? '—'],
-        ['Notes', slotObj.Description_Ar ?? slotObj.Notes ?? '—']
-      ];
+    const icsBtn = document.createElement('button');
+    icsBtn.type = 'button';
+    icsBtn.className = 'slot-ics';
+    icsBtn.tabIndex = -1;
+    icsBtn.title = t('export.addToCalendar');
+    icsBtn.setAttribute('aria-label', t('export.addToCalendar'));
+    icsBtn.textContent = '📅';
+    slotEl.appendChild(icsBtn);
 
-      let html = `<div class="view-table-wrap"><table class="view-table">`;
-      rows.forEach(([k,v]) => {
-        html += `<tr><th>${k}</th><td>${v}</td></tr>`;
-      });
-      html += `</table></div>`;
-      wrap.innerHTML = html;
-    } else {
-      // editable form layout — status select + notes textarea
-      const currentStatus = slotObj.Status ?? 1;
-      const currentNotes = slotObj.Description_Ar ?? slotObj.Notes ?? '';
-
-      const html = `
-        <div style="padding:6px 8px;">
-          <table class="view-table" style="margin-bottom:10px;">
-            <tr><th>Appointment No</th><td>${slotObj.Appoitment_Id ?? '—'}</td></tr>
-            <tr><th>Resource</th><td>${slotObj.Resource_Id ?? slotObj.ResourceId ?? '—'} — ${slotObj.ResourceName ?? ''}</td></tr>
-            <tr><th>Appointment Date</th><td>${slotObj.Date ?? (slotObj.TimeFrom ? slotObj.TimeFrom.split('T')[0] : '—')}</td></tr>
-            <tr><th>Time</th><td>${slotObj.TimeFrom ? fmtTime(slotObj.TimeFrom) : '—'} — ${slotObj.TimeTo ? fmtTime(slotObj.TimeTo) : '—'}</td></tr>
-            <tr><th>Status</th>
-              <td>
-                <select id="viewStatusSelect" style="padding:8px;border-radius:6px;border:1px solid var(--border);min-width:160px">
-                  <option value="1"${currentStatus==1? ' selected':''}>Pending</option>
-                  <option value="2"${currentStatus==2? ' selected':''}>Accept</option>
-                  <option value="3"${currentStatus==3? ' selected':''}>Reject</option>
-                </select>
-              </td>
-            </tr>
-            <tr><th>Notes</th>
-              <td>
-                <textarea id="viewNotesInput" rows="4" style="width:100%;padding:8px;border-radius:6px;border:1px solid var(--border)">${escapeHtml(currentNotes)}</textarea>
-              </td>
-            </tr>
-          </table>
-        </div>
-      `;
-      wrap.innerHTML = `<div class="view-table-wrap">${html}</div>`;
-    }
+    slotEl.draggable = true;
+    slotEl.title = t('slot.dragHint');
   }
+}
 
-  // Show modal
-  viewModal.setAttribute('aria-hidden','false');
-  viewModal.style.visibility = 'visible';
-  viewModal.style.opacity = '1';
+/* ====================
+   Grid events: one set of listeners on #gridBody for every slot
+   ==================== */
 
-  // Rebuild actions area depending on editable flag
-  actionsWrap.innerHTML = '';
-  if (editable) {
-    const updateBtn = document.createElement('button');
-    updateBtn.className = 'btn primary';
-    updateBtn.textContent = 'Update (send)';
-    updateBtn.addEventListener('click', async () => {
-      // gather values and call API
-      try {
-        const appId = slotObj.Appoitment_Id;
-        if (!appId) {
-          alert('Appointment_Id is missing — cannot update.');
-          return;
-        }
-        const statusVal = document.getElementById('viewStatusSelect').value;
-        const notesVal = document.getElementById('viewNotesInput').value;
+/* the slot box an event happened in, with its slot object and resource */
+function slotHit(e) {
+  const el = e.target && e.target.closest ? e.target.closest('.slot') : null;
+  const data = el && slotElData.get(el);
+  return data ? { el, ...data } : null;
+}
 
-        setStatus('Sending update to server...');
-        const resp = await updateAppointmentAPI(appId, statusVal, notesVal);
-        if (resp && String(resp.result).toLowerCase() === 'success') {
-          // update local slot object to reflect server change
-          // prefer to update fields that we show — Status, Description_En (simple map), Notes
-          slotObj.Status = Number(statusVal);
-          slotObj.Notes = notesVal;
-          // map simple human label
-          slotObj.Description_En = (statusVal === '2') ? 'Accepted' : (statusVal === '3') ? 'Rejected' : 'Pending';
-          // keep notes visible in view table
-          slotObj.Description_Ar = notesVal;
+function isFreeTarget(el) {
+  return !isStaff() && el.classList.contains('available') && !el.classList.contains('pending') && !el.classList.contains('blocked');
+}
 
-          // persist change into slotsMap if present
-          const resArr = slotsMap[String(slotObj.Resource_Id)] || slotsMap[String(slotObj.ResourceId)] || [];
-          const found = resArr.find(s => String(s.Appoitment_Id) === String(slotObj.Appoitment_Id));
-          if (found) {
-            found.Status = slotObj.Status;
-            found.Description_En = slotObj.Description_En;
-            found.Description_Ar = slotObj.Description_Ar;
-            found.Notes = slotObj.Notes;
-          }
+function wireGridEvents(body) {
+  body.addEventListener('click', (e) => {
+    const hit = slotHit(e);
+    if (!hit) return;
+    if (e.target.closest('.slot-cancel')) { openCancelModal(hit.slot); return; }
+    if (e.target.closest('.slot-ics')) { exportSlotIcs(hit.slot); return; }
+    if (e.target.closest('.slot-select')) { toggleStaffSelection(hit.el, hit.slot, e.target); return; }
+    if (dragSelect && dragSelect.consumedClick) { dragSelect = null; return; }
+    onSlotClick(hit.slot, hit.resource);
+  });
+  body.addEventListener('pointerdown', (e) => {
+    const hit = slotHit(e);
+    if (!hit || e.target.closest('.slot-cancel, .slot-ics, .slot-select')) return;
+    startDragSelect(e, hit.slot, hit.resource, hit.el);
+  });
+  // pointerover bubbles (pointerenter doesn't); ignore moves between children of the same slot
+  body.addEventListener('pointerover', (e) => {
+    const hit = slotHit(e);
+    if (!hit || (e.relatedTarget && hit.el.contains(e.relatedTarget))) return;
+    extendDragSelect(hit.slot, hit.resource);
+  });
 
-          setStatus('Update saved — server responded success.');
-          closeViewModal();
-          renderGrid($('#datePicker').value || isoDateString(new Date()));
-          alert('Update successful.');
-          gridLoaderCaller();
-          if (typeof options.onUpdated === 'function') options.onUpdated(slotObj);
-        } else {
-          const msg = (resp && resp.msg_en) ? resp.msg_en : 'Unknown response from server';
-          setStatus('Update failed', true);
-          alert('Update failed: ' + msg);
-        }
-      } catch (err) {
-        console.error(err);
-        setStatus('Update API error', true);
-        alert('Failed to send update. See console for details (CORS/SSL issues possible).');
-      }
-    });
-    actionsWrap.appendChild(updateBtn);
+  body.addEventListener('dragstart', (e) => {
+    const hit = slotHit(e);
+    if (!hit || !hit.el.classList.contains('registered')) return;
+    if (!holdBooking(hit.slot, hit.resource.ID)) { e.preventDefault(); return; } // the dragged booking is the one moved
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(hit.slot.Appoitment_Id));
+    document.body.classList.add('dragging-booking');
+  });
+  body.addEventListener('dragend', () => document.body.classList.remove('dragging-booking'));
+  body.addEventListener('dragover', (e) => {
+    const hit = slotHit(e);
+    if (!hit || !isFreeTarget(hit.el)) return;
+    if (!document.body.classList.contains('dragging-booking') || !canDropOn(hit.slot, hit.resource)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    hit.el.classList.add('drop-target');
+  });
+  body.addEventListener('dragleave', (e) => {
+    const hit = slotHit(e);
+    if (hit && !(e.relatedTarget && hit.el.contains(e.relatedTarget))) hit.el.classList.remove('drop-target');
+  });
+  body.addEventListener('drop', (e) => {
+    const hit = slotHit(e);
+    if (!hit || !isFreeTarget(hit.el)) return;
+    e.preventDefault();
+    hit.el.classList.remove('drop-target');
+    document.body.classList.remove('dragging-booking');
+    requestMove(hit.slot, hit.resource);
+  });
+
+  body.addEventListener('keydown', onGridKeydown);
+  body.addEventListener('focusin', (e) => {
+    if (e.target.matches('.row .resource-col')) focusGridCell(e.target, false);
+  });
+}
+
+/* ====================
+   Grid keyboard: roving focus over time × resource cells
+   ==================== */
+let gridFocusKey = ''; // cellKey of the cell that is the grid's tab stop
+
+/* make `cell` the grid's tab stop (and focus it); null = keep the current one, or pick a sensible first */
+function focusGridCell(cell, moveFocus = true) {
+  if (!gridLayout) return;
+  if (!cell) {
+    const kept = gridLayout.cells.get(gridFocusKey);
+    cell = kept ? kept.cell : (gridLayout.rows.flat().find(c => c.querySelector('.slot')) || gridLayout.rows.flat()[0]);
+    if (!cell) return;
   }
+  const current = gridLayout.cells.get(gridFocusKey);
+  if (current && current.cell !== cell) current.cell.tabIndex = -1;
+  cell.tabIndex = 0;
+  gridFocusKey = cellKey(cell.dataset.resourceId, cell.dataset.date, cell.dataset.rowMin);
+  if (moveFocus && document.activeElement !== cell) cell.focus();
+}
 
-  // Always show close button
-  const closeBtn = document.createElement('button');
-  closeBtn.className = 'btn';
-  closeBtn.textContent = 'Close';
-  closeBtn.addEventListener('click', closeViewModal);
-  actionsWrap.appendChild(closeBtn);
+/* the tab stop survives re-renders; without one the first cell with a slot gets it */
+function updateGridTabStop(refocus = false) {
+  gridLayout.rows.flat().forEach(c => { c.tabIndex = -1; });
+  const kept = gridLayout.cells.get(gridFocusKey);
+  if (!kept) gridFocusKey = '';
+  focusGridCell(kept ? kept.cell : null, refocus);
 }
 
-/* Close view modal */
-function closeViewModal() {
-  const viewModal = $('#viewModal');
-  $('#viewTableWrap').innerHTML = '';
-  $('#viewModalActions').innerHTML = '';
-  viewModal.setAttribute('aria-hidden','true');
-  viewModal.style.visibility = 'hidden';
-  viewModal.style.opacity = '0';
+/* slots in a cell with their data, in start order */
+function cellSlots(cell) {
+  return [...cell.querySelectorAll(':scope > .slot')].map(el => ({ el, ...slotElData.get(el) })).filter(x => x.slot);
+}
+
+/* Enter: book a free slot / move there in move mode / open details of a booking */
+function activateCell(cell, key) {
+  const [hit] = cellSlots(cell);
+  if (!hit) return;
+  if (key === ' ' && isStaff() && !isSlotAvailable(hit.slot)) {
+    const tick = hit.el.querySelector('.slot-select');
+    if (tick) { tick.checked = !tick.checked; toggleStaffSelection(hit.el, hit.slot, tick); }
+    return;
+  }
+  if (isMySlot(hit.slot) && !moveMode && !isStaff()) { openViewModal(hit.slot, { editable: false }); return; }
+  onSlotClick(hit.slot, hit.resource);
 }
 
-/* small escape utility for textarea content */
-function escapeHtml(s) {
-  if (!s && s !== 0) return '';
-  return String(s)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
+function onGridKeydown(e) {
+  const cell = e.target;
+  if (!gridLayout || !cell.matches || !cell.matches('.row .resource-col')) return;
+  const pos = gridLayout.pos.get(cell);
+  if (!pos) return;
+  const rtl = document.documentElement.dir === 'rtl';
+  const rows = gridLayout.rows;
+  let [r, c] = pos;
+  switch (e.key) {
+    case 'ArrowUp': r--; break;
+    case 'ArrowDown': r++; break;
+    case 'ArrowLeft': c += rtl ? 1 : -1; break;
+    case 'ArrowRight': c += rtl ? -1 : 1; break;
+    case 'Home': c = 0; if (e.ctrlKey) r = 0; break;
+    case 'End': c = rows[r].length - 1; if (e.ctrlKey) r = rows.length - 1; break;
+    case 'PageUp': r -= CONFIG.GRID_PAGE_ROWS; break;
+    case 'PageDown': r += CONFIG.GRID_PAGE_ROWS; break;
+    case 'Enter':
+    case ' ':
+      e.preventDefault();
+      activateCell(cell, e.key);
+      return;
+    case 'm':
+    case 'M': {
+      const mine = cellSlots(cell).find(x => isMySlot(x.slot) && !x.el.classList.contains('pending'));
+      if (mine && !isStaff()) {
+        e.preventDefault();
+        if (!moveMode && !holdBooking(mine.slot, cell.dataset.resourceId)) return;
+        setMoveMode(!moveMode);
+      }
+      return;
+    }
+    default:
+      return;
+  }
+  e.preventDefault();
+  r = Math.max(0, Math.min(rows.length - 1, r));
+  c = Math.max(0, Math.min(rows[r].length - 1, c));
+  focusGridCell(rows[r][c]);
 }
 
 /* ====================
-   Render grid
+   Drag-select consecutive available slots (one resource, one day) -> one longer booking
    ==================== */
-function clearGrid() {
-  $('#gridHeader').innerHTML = '';
-  $('#gridBody').innerHTML = '';
+let dragSelect = null; // { resource, anchor, slots: [...], consumedClick }
+
+function startDragSelect(e, slot, resource, el) {
+  if (isStaff()) return;
+  if (e.button !== 0 || !isSlotAvailable(slot) || slot.Register_Id || isMySlot(slot) || pendingMove) return;
+  if (bookingBlockedReason(slot, resource)) return;
+  dragSelect = { resource, anchor: slot, slots: [slot], consumedClick: false };
+  document.body.classList.add('drag-selecting');
+  // let pointerenter fire on the other slots while the button is held (touch/pen capture implicitly)
+  if (el.hasPointerCapture && el.hasPointerCapture(e.pointerId)) el.releasePointerCapture(e.pointerId);
+  paintDragSelection();
+}
+
+/* extend the selection from the anchor to `slot` if every slot in between is free and back-to-back */
+function extendDragSelect(slot, resource) {
+  if (!dragSelect || dragSelect.finished || resource.ID !== dragSelect.resource.ID) return;
+  const day = slotDateStr(dragSelect.anchor.TimeFrom);
+  if (slotDateStr(slot.TimeFrom) !== day) return;
+  const daySlots = (slotsMap[String(resource.ID)] || [])
+    .filter(s => slotDateStr(s.TimeFrom) === day)
+    .sort((a, b) => String(a.TimeFrom).localeCompare(String(b.TimeFrom)));
+  const i = daySlots.indexOf(dragSelect.anchor);
+  const j = daySlots.indexOf(slot);
+  if (i < 0 || j < 0) return;
+  const run = daySlots.slice(Math.min(i, j), Math.max(i, j) + 1);
+  const contiguous = run.every((s, k) => k === 0 || toInstant(run[k - 1].TimeTo).getTime() === toInstant(s.TimeFrom).getTime());
+  const free = run.every(s => isSlotAvailable(s) && !s.Register_Id && !isMySlot(s) && !bookingBlockedReason(s, resource));
+  if (!contiguous || !free) return;
+  dragSelect.slots = run;
+  paintDragSelection();
+}
+
+function paintDragSelection() {
+  document.querySelectorAll('.slot.selecting').forEach(el => el.classList.remove('selecting'));
+  if (!dragSelect) return;
+  dragSelect.slots.forEach(s => {
+    const el = document.querySelector(`.slot[data-app-id="${CSS.escape(String(s.Appoitment_Id))}"]`);
+    if (el) el.classList.add('selecting');
+  });
 }
 
-/* main render function */
+/* pointer released: a multi-slot selection opens the register modal for the combined time */
+function finishDragSelect() {
+  if (!dragSelect || dragSelect.finished) return;
+  const sel = dragSelect;
+  sel.finished = true;
+  document.body.classList.remove('drag-selecting');
+  paintDragSelection();
+  document.querySelectorAll('.slot.selecting').forEach(el => el.classList.remove('selecting'));
+  if (sel.slots.length < 2) { dragSelect = null; return; } // plain click -> normal click handler
+  sel.consumedClick = true; // swallow the click that follows pointerup
+  setTimeout(() => { if (dragSelect === sel) dragSelect = null; }, 0);
+
+  openMultiSlotRegister(sel.slots, sel.resource);
+}
+
+/* register modal for back-to-back slots booked as one longer appointment (drag-select, search) */
+async function openMultiSlotRegister(slots, resource) {
+  if (registeredSlot) {
+    setStatus(t('move.multiHint'), true);
+    return;
+  }
+  const blocked = await checkBookingRules(slots, resource);
+  if (blocked) {
+    toast(blocked, 'error');
+    return;
+  }
+  const first = slots[0];
+  const last = slots[slots.length - 1];
+  openModal('register', {
+    slot: first,
+    slots,
+    TimeFrom: first.TimeFrom,
+    TimeTo: last.TimeTo,
+    resource,
+    customerId: currentCustomerId()
+  });
+}
+
+/* main render function - renders the whole range (day / week / work week) containing dateStr */
 function renderGrid(dateStr) {
   const header = $('#gridHeader');
   const body = $('#gridBody');
-  clearGrid();
 
   if (!resources || resources.length === 0) {
+    clearGrid();
     $('#gridWrap').hidden = true;
     $('#noData').hidden = false;
-    setStatus('No resources available', true);
+    setStatus(t('grid.noResources'), true);
     return;
   }
 
   $('#noData').hidden = true;
   $('#gridWrap').hidden = false;
 
-  // header: time col + resource columns
+  const dates = rangeDates(dateStr);
+  const groups = buildColumnGroups(dates);
+  $('#gridWrap').classList.toggle('multi-day', groups.length > 1);
+
+  // compute rows (times are the same for every day in the range); leading/trailing rows
+  // where nothing is open and no slot exists are left out
+  const shown = [...new Set(groups.flatMap(g => g.cols.map(c => c.resource)))];
+  const [fromMin, toMin] = gridRowRange(dates, shown);
+  renderedRange = { dates, shown, fromMin, toMin };
+  const columnCount = groups.reduce((n, g) => n + g.cols.length, 0);
+  $('#gridWrap').classList.toggle('wide', columnCount > CONFIG.WIDE_GRID_COLUMNS);
+
+  // header and rows are only rebuilt when columns, rows or display settings change;
+  // otherwise the existing cells are kept and just their slots are reconciled
+  const layoutKey = JSON.stringify([
+    groups.map(g => [g.label, g.cols.map(c => [c.date, c.resource.ID, c.label])]),
+    fromMin, toMin, lang, arabicDigits, timeDisplay, isStaff(),
+  ]);
+  if (!gridLayout || gridLayout.key !== layoutKey || !body.firstChild) {
+    const refocus = body.contains(document.activeElement); // keyboard user: keep focus in the new grid
+    clearGrid();
+    buildGridLayout(header, body, groups, dates, fromMin, toMin);
+    gridLayout.key = layoutKey;
+    syncGridSlots();
+    updateGridTabStop(refocus);
+  } else {
+    syncGridSlots();
+  }
+  if (!$('#rosterPanel').hidden) renderRoster();
+  if (!$('#myApptsPanel').hidden) {
+    syncMyAppointmentsWithGrid();
+    renderMyAppointments();
+  }
+}
+
+/* build header + empty cells for every row/column and remember the cells by key */
+function buildGridLayout(header, body, groups, dates, fromMin, toMin) {
+  gridLayout = { key: '', cells: new Map(), slots: new Map(), rows: [], pos: new Map() };
+
+  // header: time col + (optional day groups of) resource/day columns
   const timeCol = document.createElement('div');
   timeCol.className = 'time-col';
+  timeCol.setAttribute('role', 'columnheader');
+  timeCol.setAttribute('aria-label', t('grid.time'));
   timeCol.textContent = ''; // top-left blank
   header.appendChild(timeCol);
 
-  resources.forEach(r => {
-    const rc = document.createElement('div');
-    rc.className = 'resource-col';
-    rc.dataset.resourceId = String(r.ID);
-    rc.textContent = r.Name_En || r.Name || `Res ${r.ID}`;
-    header.appendChild(rc);
+  groups.forEach(g => {
+    const target = g.label ? document.createElement('div') : header;
+    if (g.label) {
+      target.className = 'day-group';
+      target.setAttribute('role', 'none');
+      const title = document.createElement('div');
+      title.className = 'day-group-title';
+      title.setAttribute('aria-hidden', 'true'); // the day is part of each column header's label
+      title.textContent = g.label;
+      target.appendChild(title);
+      const cols = document.createElement('div');
+      cols.className = 'day-group-cols';
+      cols.setAttribute('role', 'none');
+      target.appendChild(cols);
+      header.appendChild(target);
+    }
+    const colsWrap = g.label ? target.lastChild : header;
+    g.cols.forEach(c => {
+      const rc = document.createElement('div');
+      rc.className = 'resource-col';
+      rc.setAttribute('role', 'columnheader');
+      if (g.label) rc.setAttribute('aria-label', `${g.label} — ${c.label}`);
+      rc.dataset.resourceId = String(c.resource.ID);
+      rc.dataset.date = c.date;
+      rc.textContent = c.label;
+      colsWrap.appendChild(rc);
+    });
   });
 
-  // compute rows
-  const rows = generateRowTimes(dateStr); // array of Date
-  rows.forEach(dt => {
+  const rows = generateRowTimes(fromMin, toMin); // business minutes since midnight
+  const frag = document.createDocumentFragment();
+  rows.forEach(rowMin => {
     const rowEl = document.createElement('div');
     rowEl.className = 'row';
+    rowEl.setAttribute('role', 'row');
+
+    const timeCol = document.createElement('div');
+    timeCol.className = 'time-col';
+    timeCol.setAttribute('role', 'rowheader');
+    timeCol.textContent = fmtTime(new Date(businessInstant(dates[0], rowMin)));
+    rowEl.appendChild(timeCol);
+
+    const rowCells = [];
+    groups.forEach(g => {
+      let target = rowEl;
+      if (g.label) {
+        target = document.createElement('div');
+        target.className = 'day-group';
+        target.setAttribute('role', 'none');
+        rowEl.appendChild(target);
+      }
+      g.cols.forEach(c => {
+        const cell = renderCell(c, rowMin);
+        gridLayout.cells.set(cellKey(c.resource.ID, c.date, rowMin), { cell, resource: c.resource });
+        gridLayout.pos.set(cell, [gridLayout.rows.length, rowCells.length]);
+        rowCells.push(cell);
+        target.appendChild(cell);
+      });
+    });
+    gridLayout.rows.push(rowCells);
+
+    frag.appendChild(rowEl);
+  });
+  body.appendChild(frag);
+}
 
-    const timeCol = document.createElement('div');
-    timeCol.className = 'time-col';
-    timeCol.textContent = dt.toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'});
-    rowEl.appendChild(timeCol);
+/* put slotsMap into the rendered cells: index once, then keyed update per cell */
+function syncGridSlots() {
+  if (!gridLayout || !renderedRange) return;
+  const index = buildSlotIndex(renderedRange.shown, renderedRange.dates);
+  const seen = new Set();
+  const bookings = isStaff() ? [] : activeCustomerBookings(currentCustomerId()); // once per render, not per slot
+  gridLayout.cells.forEach(({ cell, resource }, key) => syncCell(cell, resource, index.get(key) || [], seen, bookings));
+  gridLayout.slots.forEach((_, key) => { if (!seen.has(key)) gridLayout.slots.delete(key); });
+}
 
-    // resource columns
-    resources.forEach(r => {
-      const col = document.createElement('div');
-      col.className = 'resource-col';
-      col.dataset.resourceId = String(r.ID);
-
-      // find a slot in slotsMap[r.ID] that starts exactly at dt (or within same minute)
-      const slots = slotsMap[String(r.ID)] || [];
-      const matched = slots.find(s => {
-        const sDT = new Date(s.TimeFrom);
-        // compare by minute
-        return sDT.getFullYear() === dt.getFullYear()
-          && sDT.getMonth() === dt.getMonth()
-          && sDT.getDate() === dt.getDate()
-          && sDT.getHours() === dt.getHours()
-          && sDT.getMinutes() === dt.getMinutes();
-      });
+/* ====================
+   Booking rules: lead time, booking horizon, per-customer limits, resource eligibility
+   ==================== */
 
-      if (matched) {
-        const slotEl = document.createElement('div');
-        const custId = Number(CONFIG.CUSTOMER_ID);
-        const serverRegistered = matched.Register_Id && Number(matched.Register_Id) === custId;
-        const isRegistered = (registeredSlot && registeredSlot.Appoitment_Id && registeredSlot.Appoitment_Id === matched.Appoitment_Id)
-                              || (CONFIG.RESPECT_SERVER_REGISTERED && serverRegistered);
-
-        if (isRegistered) {
-          slotEl.className = 'slot registered';
-        } else if (matched.Status === 1 || /available/i.test(matched.Description_En || '')) {
-          slotEl.className = 'slot available';
-        } else {
-          slotEl.className = 'slot booked';
-        }
+/* the customer's active (upcoming, not rejected) bookings among `slots` (default: the loaded ones) */
+function activeCustomerBookings(customerId, now = new Date(), slots = Object.values(slotsMap).flat()) {
+  return slots.filter(s =>
+    (isMySlot(s) || (s.Register_Id && Number(s.Register_Id) === Number(customerId)))
+    && Number(s.Status) !== 3
+    && toInstant(s.TimeFrom) > now);
+}
 
-        // store meta on element
-        slotEl.dataset.resourceId = String(r.ID);
-        slotEl.dataset.appId = String(matched.Appoitment_Id || '');
-        slotEl.dataset.timeFrom = matched.TimeFrom;
-        slotEl.dataset.timeTo = matched.TimeTo;
+/**
+ * The customer's active bookings in the Monday–Sunday weeks of `days`, read for every resource through
+ * the slot cache, so the weekly limit doesn't depend on which dates the grid shows. Loaded slots win over
+ * cached copies (they carry optimistic changes); a day that fails to load counts as empty, since the
+ * server checks the limits again.
+ */
+async function customerWeekBookings(days) {
+  const customerId = currentCustomerId();
+  const shown = new Set(renderedRange ? renderedRange.dates : []);
+  const missing = [...new Set(days.flatMap(d => rangeDates(d, 'week')))].filter(d => !shown.has(d));
+  const loaded = await Promise.all(resources.flatMap(r => missing.map(d =>
+    getSlotsCached(customerId, d, r.ID).catch(err => { console.warn('week bookings', d, r.ID, err); return []; }))));
+  return activeCustomerBookings(customerId, new Date(), [...Object.values(slotsMap).flat(), ...loaded.flat()]);
+}
 
-        // show time + small label
-        slotEl.innerHTML = `<div>${fmtTime(matched.TimeFrom)}</div><small>${matched.Description_En || ''}</small>`;
-        slotEl.addEventListener('click', () => onSlotClick(matched, r));
-        col.appendChild(slotEl);
-      }
+/* bookingBlockedReason for every slot, with the whole week(s) loaded first; use before booking or moving */
+async function checkBookingRules(slots, resource, opts = {}) {
+  if (isStaff()) return null;
+  const bookings = await customerWeekBookings(slots.map(s => slotDateStr(s.TimeFrom)));
+  return slots.map(s => bookingBlockedReason(s, resource, { ...opts, bookings })).find(Boolean) || null;
+}
 
-      rowEl.appendChild(col);
-    });
+/**
+ * Why the signed-in customer can't book `slot` on `resource` (null = allowed).
+ * replacing: the booking a move gives up, so it doesn't count against the limits.
+ * birthDate: from the booking form; otherwise the saved client details are used for age rules.
+ * bookings: the customer's active bookings (activeCustomerBookings / customerWeekBookings), so callers
+ * checking many slots compute them once; the loaded slots are used when omitted.
+ */
+function bookingBlockedReason(slot, resource, { replacing = null, birthDate = null, now = new Date(), bookings = null } = {}) {
+  if (isStaff()) return null;
+  const rules = CONFIG.BOOKING_RULES;
+  const start = toInstant(slot.TimeFrom);
+  if (isNaN(start.getTime())) return t('slot.unavailable');
+  if (start <= now) return t('rules.past');
+  if (rules.minLeadMinutes && (start - now) / 60000 < rules.minLeadMinutes) {
+    return t('rules.leadTime', { minutes: rules.minLeadMinutes });
+  }
+  const day = slotDateStr(slot.TimeFrom);
+  if (rules.maxDaysAhead != null && day > addDaysStr(todayStr(), rules.maxDaysAhead)) {
+    return t('rules.horizon', { days: rules.maxDaysAhead });
+  }
 
-    body.appendChild(rowEl);
-  });
+  const customerId = currentCustomerId();
+  const eligibility = (rules.resources || {})[String(resource.ID)];
+  if (eligibility) {
+    if (eligibility.customers && !eligibility.customers.map(Number).includes(Number(customerId))) {
+      return eligibility.label || t('rules.notEligible');
+    }
+    const born = eligibility.minAge ? (birthDate || savedClientDetails(customerId).Birth_Date) : null;
+    if (born && ageOn(born, day) < eligibility.minAge) return t('rules.minAge', { min: eligibility.minAge });
+  }
 
-  setStatus(`Grid loaded — ${resources.length} resources`);
+  if (rules.maxPerDay == null && rules.maxPerWeek == null) return null;
+  const skip = replacing ? String(replacing.Appoitment_Id) : null;
+  const mine = (bookings || activeCustomerBookings(customerId, now)).filter(s => String(s.Appoitment_Id) !== skip);
+  if (rules.maxPerDay != null && mine.filter(s => slotDateStr(s.TimeFrom) === day).length >= rules.maxPerDay) {
+    return t('rules.perDay', { n: rules.maxPerDay });
+  }
+  const week = rangeDates(day, 'week');
+  if (rules.maxPerWeek != null && mine.filter(s => week.includes(slotDateStr(s.TimeFrom))).length >= rules.maxPerWeek) {
+    return t('rules.perWeek', { n: rules.maxPerWeek });
+  }
+  return null;
 }
 
 /* ====================
    Slot click logic
    ==================== */
-function onSlotClick(slotObj, resource) {
-  const custId = Number(CONFIG.CUSTOMER_ID);
-  const serverRegistered = slotObj.Register_Id && Number(slotObj.Register_Id) === custId;
-  const isRegistered = (registeredSlot && registeredSlot.Appoitment_Id === slotObj.Appoitment_Id)
-                       || (CONFIG.RESPECT_SERVER_REGISTERED && serverRegistered);
+async function onSlotClick(slotObj, resource) {
+  if (pendingMove && (slotObj === pendingMove.to || slotObj === pendingMove.from)) {
+    setStatus(t('slot.beingMoved'));
+    return;
+  }
+  const custId = currentCustomerId();
+
+  // staff: booked -> editable status/notes, free -> read-only details
+  if (isStaff()) {
+    openViewModal(slotObj, { editable: !isSlotAvailable(slotObj) });
+    return;
+  }
+
+  if (moveMode) {
+    if (isMySlot(slotObj)) { setMoveMode(false); return; }
+    requestMove(slotObj, resource);
+    return;
+  }
+
+  if (isMySlot(slotObj)) {
+    toast(t('slot.alreadyMine'));
+    return;
+  }
+
+  if (!isSlotAvailable(slotObj)) {
+    toast(t('slot.unavailable'), 'error');
+    return;
+  }
 
-  if (isRegistered) {
-    alert('This slot is already registered for you.');
+  // a customer with a booking moves it, so that booking doesn't count against the limits
+  const blocked = await checkBookingRules([slotObj], resource, { replacing: registeredSlot });
+  if (blocked) {
+    toast(blocked, 'error');
     return;
   }
 
@@ -515,6 +3440,97 @@ function onSlotClick(slotObj, resource) {
   openModal('update', { old: registeredSlot, slot: slotObj, resource, customerId: custId });
 }
 
+/* ====================
+   Booking form (register step): client details, validated, prefilled for returning customers
+   ==================== */
+const BOOKING_FIELDS = ['Full_Name', 'Phone', 'Birth_Date', 'Register_Subscribe_Number', 'Notes'];
+const CLIENT_DETAILS_KEY = 'clientDetails'; // sessionStorage: { [customerId]: details without Notes }, cleared on sign-out
+
+/* details from this customer's last booking in this browser, else from a loaded booking of theirs */
+function savedClientDetails(customerId) {
+  let stored = {};
+  try { stored = JSON.parse(sessionStorage.getItem(CLIENT_DETAILS_KEY) || '{}')[String(customerId)] || {}; } catch (e) { /* ignore */ }
+  if (stored.Full_Name) return stored;
+  const own = Object.values(slotsMap).flat().find(s => Number(s.Register_Id) === Number(customerId) && s.Full_Name);
+  return own ? { Full_Name: own.Full_Name, Phone: own.Phone, Birth_Date: own.Birth_Date, Register_Subscribe_Number: own.Register_Subscribe_Number } : stored;
+}
+
+/* only the signed-in customer's details are kept */
+function saveClientDetails(customerId, details) {
+  const { Notes, ...keep } = details; // notes are per appointment
+  sessionStorage.setItem(CLIENT_DETAILS_KEY, JSON.stringify({ [String(customerId)]: keep }));
+}
+
+/* whole years between two yyyy-mm-dd dates */
+function ageOn(birthDateStr, dateStr) {
+  const [by, bm, bd] = birthDateStr.split('-').map(Number);
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return y - by - (m < bm || (m === bm && d < bd) ? 1 : 0);
+}
+
+/* trimmed / normalised form values */
+function normalizeBookingDetails(raw) {
+  return {
+    Full_Name: String(raw.Full_Name || '').trim().replace(/\s+/g, ' '),
+    Phone: String(raw.Phone || '').replace(/[\s\-()]/g, ''),
+    Birth_Date: String(raw.Birth_Date || '').trim(),
+    Register_Subscribe_Number: String(raw.Register_Subscribe_Number || '').trim().toUpperCase(),
+    Notes: String(raw.Notes || '').trim()
+  };
+}
+
+/* { field: message } for every invalid field (empty object = valid) */
+function validateBookingDetails(details, today = todayStr()) {
+  const errors = {};
+  if (details.Full_Name.length < 2) errors.Full_Name = t('booking.err.name');
+  if (!CONFIG.PHONE_PATTERN.test(details.Phone)) errors.Phone = t('booking.err.phone');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(details.Birth_Date)) errors.Birth_Date = t('booking.err.birthDate');
+  else if (details.Birth_Date > today) errors.Birth_Date = t('booking.err.birthFuture');
+  else if (ageOn(details.Birth_Date, today) < CONFIG.MIN_CLIENT_AGE) errors.Birth_Date = t('booking.err.age', { min: CONFIG.MIN_CLIENT_AGE });
+  else if (ageOn(details.Birth_Date, today) > 120) errors.Birth_Date = t('booking.err.birthDate');
+  if (!details.Register_Subscribe_Number) errors.Register_Subscribe_Number = t('booking.err.subscribeRequired');
+  else if (!CONFIG.SUBSCRIPTION_PATTERN.test(details.Register_Subscribe_Number)) errors.Register_Subscribe_Number = t('booking.err.subscribe');
+  if (details.Notes.length > CONFIG.BOOKING_NOTES_MAX) errors.Notes = t('booking.err.notes', { max: CONFIG.BOOKING_NOTES_MAX });
+  return errors;
+}
+
+/* the form shown in the register modal, prefilled with `values` */
+function buildBookingForm(values) {
+  const field = (name, label, control) => h('label', { className: 'small modal-field booking-field' }, label, control,
+    h('small', { className: 'field-error', id: `bookingErr_${name}`, hidden: true }));
+  const input = (name, props) => h('input', {
+    id: `booking_${name}`, name, value: values[name] || '', 'aria-describedby': `bookingErr_${name}`, ...props
+  });
+  return h('fieldset', { className: 'booking-form', id: 'bookingForm' },
+    h('legend', null, t('booking.title')),
+    field('Full_Name', t('view.fullName'), input('Full_Name', { type: 'text', autocomplete: 'name', maxLength: 100, required: true })),
+    field('Phone', t('view.phone'), input('Phone', { type: 'tel', autocomplete: 'tel', inputMode: 'tel', placeholder: '05xxxxxxxx', required: true })),
+    field('Birth_Date', t('view.birthDate'), input('Birth_Date', { type: 'date', autocomplete: 'bday', max: todayStr(), required: true })),
+    field('Register_Subscribe_Number', t('view.subscribeNo'), input('Register_Subscribe_Number', { type: 'text', maxLength: 20, required: true })),
+    field('Notes', t('view.notes'), h('textarea', {
+      id: 'booking_Notes', name: 'Notes', rows: 2, maxLength: CONFIG.BOOKING_NOTES_MAX, value: values.Notes || '', 'aria-describedby': 'bookingErr_Notes'
+    })));
+}
+
+/* read + validate the form; marks invalid fields and focuses the first one. null when invalid */
+function readBookingForm() {
+  const raw = {};
+  BOOKING_FIELDS.forEach(f => { raw[f] = $(`#booking_${f}`).value; });
+  const details = normalizeBookingDetails(raw);
+  const errors = validateBookingDetails(details);
+  BOOKING_FIELDS.forEach(f => {
+    const el = $(`#booking_${f}`);
+    const msg = $(`#bookingErr_${f}`);
+    el.setAttribute('aria-invalid', errors[f] ? 'true' : 'false');
+    msg.textContent = errors[f] || '';
+    msg.hidden = !errors[f];
+  });
+  const firstBad = BOOKING_FIELDS.find(f => errors[f]);
+  if (!firstBad) return details;
+  $(`#booking_${firstBad}`).focus();
+  return null;
+}
+
 /* ====================
    Modal logic (one modal handles both register & update)
    ==================== */
@@ -527,173 +3543,220 @@ let modalContext = null; // store context for confirm handler
 
 function openModal(mode, ctx) {
   modalContext = { mode, ctx };
-  modalEl.setAttribute('aria-hidden','false');
-  modalEl.style.visibility = 'visible';
-  modalEl.style.opacity = '1';
+  if (mode === 'register') urlAppointmentOpened(ctx.slot && ctx.slot.Appoitment_Id);
 
   // rebuild modal body/actions
-  modalBody.innerHTML = '';
-  modalActions.innerHTML = '';
+  modalBody.replaceChildren();
+  modalActions.replaceChildren();
+  const errorBox = () => h('div', { id: 'modalError', className: 'modal-error', hidden: true });
 
   if (mode === 'register') {
-    modalTitle.textContent = 'Register Appointment (mock)';
-    modalBody.innerHTML = `
-      <p>Resource: <strong>${ctx.resource.Name_En}</strong> (ID: ${ctx.resource.ID})</p>
-      <p>Slot time: <strong>${fmtTime(ctx.slot.TimeFrom)} — ${fmtTime(ctx.slot.TimeTo)}</strong></p>
-      <p>Customer ID: <strong>${ctx.customerId}</strong></p>
-      <p>Action: This will <strong>mark this slot as registered</strong> (mock). Placeholder included for real API POST.</p>
-    `;
+    modalTitle.textContent = t('modal.register.title');
+    modalBody.append(
+      h('p', null, `${t('modal.resource')}: `, h('strong', null, resourceName(ctx.resource)), ` (ID: ${ctx.resource.ID})`),
+      h('p', null, `${t('modal.slotTime')}: `, h('strong', null, `${fmtTime(ctx.TimeFrom || ctx.slot.TimeFrom)} — ${fmtTime(ctx.TimeTo || ctx.slot.TimeTo)}`),
+        ctx.slots && ctx.slots.length > 1 ? ` ${t('modal.consecutive', { n: ctx.slots.length })}` : ''),
+      h('p', null, `${t('modal.customerId')}: `, h('strong', null, ctx.customerId)),
+      h('p', null, `${t('modal.action')}: `, tRich('modal.register.action')),
+      buildBookingForm(savedClientDetails(ctx.customerId)),
+      errorBox());
     // View Details button (register modal)
     const viewBtn = document.createElement('button');
     viewBtn.className = 'btn';
-    viewBtn.textContent = 'View Details';
+    viewBtn.textContent = t('modal.viewDetails');
     viewBtn.addEventListener('click', async () => {
-      const slot = await fetchAppointmentDetails({ customerId: ctx.customerId, dateStr: $('#datePicker').value, resourceId: ctx.resource.ID, slotObj: ctx.slot });
+      const slot = await fetchAppointmentDetails({ customerId: ctx.customerId, dateStr: slotDateStr(ctx.slot.TimeFrom), resourceId: ctx.resource.ID, slotObj: ctx.slot });
       openViewModal(slot, { editable: false });
     });
     modalActions.appendChild(viewBtn);
 
-    // Register confirm (mock)
+    // Register confirm
     const confirmBtn = document.createElement('button');
+    confirmBtn.id = 'modalConfirm';
     confirmBtn.className = 'btn primary';
-    confirmBtn.textContent = 'Register';
+    confirmBtn.textContent = t('modal.register.confirm');
     confirmBtn.addEventListener('click', () => handleModalConfirm('register', ctx));
     modalActions.appendChild(confirmBtn);
 
     // Cancel
     const cancelBtn = document.createElement('button');
     cancelBtn.className = 'btn';
-    cancelBtn.textContent = 'Cancel';
+    cancelBtn.textContent = t('modal.cancel');
     cancelBtn.addEventListener('click', closeModal);
     modalActions.appendChild(cancelBtn);
 
   } else if (mode === 'update') {
-    modalTitle.textContent = 'Update Appointment (mock)';
-    const oldTime = (ctx.old && ctx.old.TimeFrom) ? fmtTime(ctx.old.TimeFrom) + ' — ' + fmtTime(ctx.old.TimeTo) : '(current registration)';
-    modalBody.innerHTML = `
-      <p>Current registration: <strong>${oldTime}</strong> (mock)</p>
-      <p>New slot: <strong>${fmtTime(ctx.slot.TimeFrom)} — ${fmtTime(ctx.slot.TimeTo)}</strong></p>
-      <p>Resource: <strong>${ctx.resource.Name_En}</strong> (ID: ${ctx.resource.ID})</p>
-      <p>Customer ID: <strong>${ctx.customerId}</strong></p>
-      <p>Action: This will <strong>move your registration</strong> to the new slot (mock). Final update is completed via View → Updating.</p>
-    `;
+    modalTitle.textContent = t('modal.move.title');
+    const oldTime = (ctx.old && ctx.old.TimeFrom) ? fmtTime(ctx.old.TimeFrom) + ' — ' + fmtTime(ctx.old.TimeTo) : t('modal.move.currentFallback');
+    modalBody.append(
+      h('p', null, `${t('modal.move.current')}: `, h('strong', null, oldTime)),
+      h('p', null, `${t('modal.move.newSlot')}: `, h('strong', null, `${fmtTime(ctx.slot.TimeFrom)} — ${fmtTime(ctx.slot.TimeTo)}`)),
+      h('p', null, `${t('modal.resource')}: `, h('strong', null, resourceName(ctx.resource)), ` (ID: ${ctx.resource.ID})`),
+      h('p', null, `${t('modal.customerId')}: `, h('strong', null, ctx.customerId)),
+      h('p', null, `${t('modal.action')}: `, tRich('modal.move.action')),
+      errorBox());
 
     // View Current button
     const viewCurrent = document.createElement('button');
     viewCurrent.className = 'btn';
-    viewCurrent.textContent = 'View Current';
+    viewCurrent.textContent = t('modal.move.viewCurrent');
     viewCurrent.addEventListener('click', async () => {
       const current = ctx.old && ctx.old.Appoitment_Id ? ctx.old : registeredSlot;
-      if (!current) { alert('No current registration available.'); return; }
-      const slot = await fetchAppointmentDetails({ customerId: ctx.customerId, dateStr: $('#datePicker').value, resourceId: current.Resource_Id || ctx.resource.ID, appId: current.Appoitment_Id });
+      if (!current) { toast(t('modal.move.noCurrent'), 'error'); return; }
+      const slot = await fetchAppointmentDetails({ customerId: ctx.customerId, dateStr: current.TimeFrom ? slotDateStr(current.TimeFrom) : $('#datePicker').value, resourceId: current.Resource_Id || ctx.resource.ID, appId: current.Appoitment_Id });
       openViewModal(slot, { editable: false });
     });
     modalActions.appendChild(viewCurrent);
 
-    // View Updating button
-    const viewUpdating = document.createElement('button');
-    viewUpdating.className = 'btn';
-    viewUpdating.textContent = 'View Updating';
-    viewUpdating.addEventListener('click', async () => {
-      const slot = await fetchAppointmentDetails({ customerId: ctx.customerId, dateStr: $('#datePicker').value, resourceId: ctx.resource.ID, slotObj: ctx.slot });
-      // open view modal in editable mode (final update will be done here)
-      openViewModal(slot, {
-        editable: true,
-        onUpdated: (updatedSlot) => {
-          // optional callback after update: mark new slot registered & clear previous registration
-          // Unregister previous (session) if present
-          const old = ctx.old;
-          if (old && old.Appoitment_Id) {
-            const prevResSlots = slotsMap[String(old.Resource_Id)] || [];
-            const prevObj = prevResSlots.find(s => s.Appoitment_Id === old.Appoitment_Id);
-            if (prevObj) delete prevObj.Register_Id;
-          }
-          // Mark new slot Register_Id = customer and as registeredSlot in session
-          if (updatedSlot) {
-            updatedSlot.Register_Id = ctx.customerId;
-            registeredSlot = {
-              Appoitment_Id: updatedSlot.Appoitment_Id,
-              Resource_Id: ctx.resource.ID,
-              TimeFrom: updatedSlot.TimeFrom,
-              TimeTo: updatedSlot.TimeTo
-            };
-            renderGrid($('#datePicker').value || isoDateString(new Date()));
-          }
-        }
-      });
+    // View New button
+    const viewNew = document.createElement('button');
+    viewNew.className = 'btn';
+    viewNew.textContent = t('modal.move.viewNew');
+    viewNew.addEventListener('click', async () => {
+      const slot = await fetchAppointmentDetails({ customerId: ctx.customerId, dateStr: slotDateStr(ctx.slot.TimeFrom), resourceId: ctx.resource.ID, slotObj: ctx.slot });
+      openViewModal(slot, { editable: false });
     });
-    modalActions.appendChild(viewUpdating);
+    modalActions.appendChild(viewNew);
 
-    // Confirm update (redirect to view updating)
+    // Confirm move (single reschedule request)
     const confirmBtn = document.createElement('button');
+    confirmBtn.id = 'modalConfirm';
     confirmBtn.className = 'btn primary';
-    confirmBtn.textContent = 'Go to View (finalize)';
-    confirmBtn.addEventListener('click', async () => {
-      // redirect to view-updating (same as View Updating button)
-      const slot = await fetchAppointmentDetails({ customerId: ctx.customerId, dateStr: $('#datePicker').value, resourceId: ctx.resource.ID, slotObj: ctx.slot });
-      openViewModal(slot, {
-        editable: true,
-        onUpdated: (updatedSlot) => {
-          const old = ctx.old;
-          if (old && old.Appoitment_Id) {
-            const prevResSlots = slotsMap[String(old.Resource_Id)] || [];
-            const prevObj = prevResSlots.find(s => s.Appoitment_Id === old.Appoitment_Id);
-            if (prevObj) delete prevObj.Register_Id;
-          }
-          if (updatedSlot) {
-            updatedSlot.Register_Id = ctx.customerId;
-            registeredSlot = {
-              Appoitment_Id: updatedSlot.Appoitment_Id,
-              Resource_Id: ctx.resource.ID,
-              TimeFrom: updatedSlot.TimeFrom,
-              TimeTo: updatedSlot.TimeTo
-            };
-            renderGrid($('#datePicker').value || isoDateString(new Date()));
-          }
-        }
-      });
-    });
+    confirmBtn.textContent = t('modal.move.confirm');
+    confirmBtn.addEventListener('click', () => handleModalConfirm('update', ctx));
     modalActions.appendChild(confirmBtn);
 
     // Cancel
     const cancelBtn = document.createElement('button');
     cancelBtn.className = 'btn';
-    cancelBtn.textContent = 'Cancel';
+    cancelBtn.textContent = t('modal.cancel');
     cancelBtn.addEventListener('click', closeModal);
     modalActions.appendChild(cancelBtn);
+
+  } else if (mode === 'cancel') {
+    modalTitle.textContent = t('modal.cancel.title');
+    const policy = cancellationPolicy(ctx.slot);
+    modalBody.append(
+      h('p', null, `${t('modal.cancel.appointment')}: `, h('strong', null, `${fmtTime(ctx.slot.TimeFrom)} — ${fmtTime(ctx.slot.TimeTo)}`),
+        ` ${t('modal.cancel.onDate', { date: formatShortDateStr(slotDateStr(ctx.slot.TimeFrom)) })}`),
+      h('p', null, `${t('modal.resource')}: `, h('strong', null, slotResourceName(ctx.slot) || ctx.slot.Resource_Id || '')),
+      h('p', { className: `policy-note${policy.ok ? '' : ' blocked'}` }, policy.message),
+      h('label', { className: 'small modal-field' }, t('modal.cancel.reason'),
+        h('textarea', { id: 'cancelReasonInput', rows: 3, maxLength: CONFIG.CANCEL_REASON_MAX, disabled: !policy.ok })),
+      errorBox());
+
+    const confirmBtn = document.createElement('button');
+    confirmBtn.id = 'modalConfirm';
+    confirmBtn.className = 'btn danger';
+    confirmBtn.textContent = t('modal.cancel.confirm');
+    confirmBtn.disabled = !policy.ok;
+    confirmBtn.addEventListener('click', () => handleModalConfirm('cancel', ctx));
+    modalActions.appendChild(confirmBtn);
+
+    const keepBtn = document.createElement('button');
+    keepBtn.className = 'btn';
+    keepBtn.textContent = t('modal.cancel.keep');
+    keepBtn.addEventListener('click', closeModal);
+    modalActions.appendChild(keepBtn);
   }
+
+  showDialog(modalEl, closeModal);
 }
 
 function closeModal() {
   modalContext = null;
-  modalEl.setAttribute('aria-hidden','true');
-  modalEl.style.visibility = 'hidden';
-  modalEl.style.opacity = '0';
+  urlAppointmentClosed();
+  hideDialog(modalEl);
 }
 
-/* Centralized confirm handler used by register (mock) */
+/* show a server/validation error inside the open register/update modal */
+function showModalError(msg) {
+  const el = $('#modalError');
+  if (!el) { toast(msg, 'error'); return; }
+  el.textContent = msg;
+  el.hidden = false;
+}
+
+/* Centralized confirm handler used by register & update (move) */
 async function handleModalConfirm(mode, ctx) {
+  if (mode === 'update') {
+    // time has passed since the dialog opened
+    const blocked = await checkBookingRules([ctx.slot], ctx.resource, { replacing: ctx.old });
+    if (blocked) { showModalError(blocked); return; }
+    closeModal();
+    await moveBooking(ctx.old, ctx.slot, ctx.resource, ctx.customerId);
+    return;
+  }
+  if (mode === 'cancel') {
+    await confirmCancel(ctx);
+    return;
+  }
+  if (mode !== 'register') return;
+  const confirmBtn = $('#modalConfirm');
+  const errEl = $('#modalError');
+  if (errEl) errEl.hidden = true;
+  const details = readBookingForm();
+  if (!details) { showModalError(t('booking.invalid')); return; }
+  const slots = ctx.slots || [ctx.slot];
+  if (confirmBtn) confirmBtn.disabled = true;
+  const blocked = await checkBookingRules(slots, ctx.resource, { birthDate: details.Birth_Date });
+  if (blocked) {
+    showModalError(blocked);
+    if (confirmBtn) confirmBtn.disabled = false;
+    return;
+  }
+
   try {
-    if (mode === 'register') {
-      // MOCK register
-      const newId = Date.now();
-      registeredSlot = {
-        Appoitment_Id: newId,
-        Resource_Id: ctx.resource.ID,
-        TimeFrom: ctx.slot.TimeFrom,
-        TimeTo: ctx.slot.TimeTo
-      };
-      ctx.slot.Register_Id = ctx.customerId;
-      ctx.slot.Appoitment_Id = newId;
-      setStatus('Registered (mock): slot marked as dark green');
-      closeModal();
-      renderGrid($('#datePicker').value || isoDateString(new Date()));
-      alert('Appointment registered (mock).');
+    setStatus(t('register.sending'));
+    const appt = await registerAppointmentAPI(ctx.customerId, ctx.resource.ID, slots, details);
+    saveClientDetails(ctx.customerId, details);
+    invalidateSlot({ ...ctx.slot, Resource_Id: ctx.resource.ID });
+    const booked = reconcileSlot(ctx.resource.ID, ctx.slot, appt);
+    booked.Register_Id = ctx.customerId;
+    if (slots.length > 1) {
+      // the extra slots are now part of one longer appointment rendered as a single block
+      const merged = new Set(slots.slice(1));
+      slotsMap[String(ctx.resource.ID)] = (slotsMap[String(ctx.resource.ID)] || []).filter(s => !merged.has(s));
     }
+    registeredSlot = {
+      Appoitment_Id: booked.Appoitment_Id,
+      Resource_Id: ctx.resource.ID,
+      TimeFrom: booked.TimeFrom,
+      TimeTo: booked.TimeTo
+    };
+    setStatus(t('register.done'));
+    closeModal();
+    renderGrid($('#datePicker').value || todayStr());
+  } catch (err) {
+    // server rejections (e.g. slot already taken) stay in the modal so the user can pick another slot
+    console.error(err);
+    setStatus(t('register.failedStatus', { error: describeError(err) }), true);
+    showModalError(t('register.failed', { error: err.message || t('error.seeConsole') }));
+  } finally {
+    if (confirmBtn) confirmBtn.disabled = false;
+  }
+}
+
+/* cancel dialog confirm: re-check policy, require a reason, then call the server */
+async function confirmCancel(ctx) {
+  const confirmBtn = $('#modalConfirm');
+  const reason = ($('#cancelReasonInput').value || '').trim();
+  const policy = cancellationPolicy(ctx.slot);
+  if (!policy.ok) { showModalError(policy.message); return; }
+  if (!reason) { showModalError(t('cancel.reasonRequired')); return; }
+
+  confirmBtn.disabled = true;
+  try {
+    setStatus(t('cancel.sending'));
+    await cancelBooking(ctx.slot, reason);
+    closeModal();
+    setStatus(t('cancel.done'));
   } catch (err) {
     console.error(err);
-    setStatus('Failed to register/update (mock)', true);
-    alert('Failed to register/update (see console).');
+    setStatus(t('cancel.failedStatus', { error: describeError(err) }), true);
+    showModalError(t('cancel.failed', { error: err.message || t('error.seeConsole') }));
+  } finally {
+    confirmBtn.disabled = false;
   }
 }
 
@@ -709,30 +3772,402 @@ document.addEventListener('click', (e) => {
   if (e.target && e.target.id === 'viewModalClose') closeViewModal();
 });
 
+/* ====================
+   Find next available slot (cross-day search)
+   ==================== */
+let searchRun = 0; // incremented per search; lets "Stop" / a new search abandon the old scan
+
+/* "HH:MM" -> minutes since midnight */
+function parseTimeOfDay(hhmm) {
+  const [h, m] = String(hhmm || '0:0').split(':').map(n => parseInt(n, 10) || 0);
+  return h * 60 + m;
+}
+
+/**
+ * Find runs of free, back-to-back slots on one resource that start inside the
+ * time window and cover at least minMinutes. Returns [{ resource, slots, TimeFrom, TimeTo }].
+ */
+function findFreeRuns(slots, resource, { fromMin, toMin, minMinutes }) {
+  const bookings = isStaff() ? [] : activeCustomerBookings(currentCustomerId());
+  const free = slots
+    .filter(s => isSlotAvailable(s) && !s.Register_Id && !bookingBlockedReason(s, resource, { bookings }))
+    .sort((a, b) => String(a.TimeFrom).localeCompare(String(b.TimeFrom)));
+  const matches = [];
+  free.forEach((start, i) => {
+    const startMin = minutesOfDay(start.TimeFrom);
+    if (startMin < fromMin || startMin >= toMin) return;
+    const run = [start];
+    let end = toInstant(start.TimeTo).getTime();
+    for (let j = i + 1; j < free.length && (end - toInstant(start.TimeFrom).getTime()) / 60000 < minMinutes; j++) {
+      if (toInstant(free[j].TimeFrom).getTime() !== end) break;
+      run.push(free[j]);
+      end = toInstant(free[j].TimeTo).getTime();
+    }
+    const lengthMin = (end - toInstant(start.TimeFrom).getTime()) / 60000;
+    // the whole appointment has to fit inside the window too
+    if (lengthMin >= minMinutes && minutesOfDay(start.TimeFrom) + minMinutes <= toMin) {
+      matches.push({ resource, slots: run, TimeFrom: start.TimeFrom, TimeTo: run[run.length - 1].TimeTo });
+    }
+  });
+  return matches;
+}
+
+/**
+ * Scan day by day (all selected resources per day in parallel) and stop as soon
+ * as `limit` matches are found. `onProgress(dateStr)` is called before each day.
+ */
+async function searchAvailableSlots({ customerId, resourceIds, fromDate, toDate, fromMin, toMin, minMinutes, limit }, onProgress) {
+  const run = ++searchRun;
+  const results = [];
+  const pool = resources.filter(r => !resourceIds.length || resourceIds.includes(r.ID));
+  for (let d = fromDate, n = 0; d <= toDate && n < CONFIG.SEARCH_MAX_DAYS; d = addDaysStr(d, 1), n++) {
+    if (run !== searchRun) return null; // superseded or stopped
+    if (onProgress) onProgress(d);
+    const perResource = await Promise.all(pool.map(async r => {
+      try {
+        return findFreeRuns(await fetchSlotsForResource(customerId, d, r.ID) || [], r, { fromMin, toMin, minMinutes });
+      } catch (err) {
+        console.warn('search: failed to load', d, r.ID, err);
+        return [];
+      }
+    }));
+    const dayMatches = perResource.flat().sort((a, b) => String(a.TimeFrom).localeCompare(String(b.TimeFrom)));
+    for (const m of dayMatches) {
+      results.push(m);
+      if (results.length >= limit) return results;
+    }
+  }
+  return run === searchRun ? results : null;
+}
+
+function openSearchPanel() {
+  const panel = $('#searchPanel');
+  const sel = $('#searchResource');
+  sel.replaceChildren(h('option', { value: '' }, t('search.anyResource')));
+  resources.forEach(r => {
+    const opt = document.createElement('option');
+    opt.value = r.ID;
+    opt.textContent = resourceName(r);
+    sel.appendChild(opt);
+  });
+  sel.value = resourceFilter;
+  if (!$('#searchFrom').value) {
+    const start = $('#datePicker').value || todayStr();
+    $('#searchFrom').value = start;
+    $('#searchTo').value = addDaysStr(start, 13);
+  }
+  panel.hidden = false;
+}
+
+function closeSearchPanel() {
+  searchRun++; // stop any running scan
+  $('#searchPanel').hidden = true;
+}
+
+/* jump the grid to a match's date and flash the slot; optionally open the register modal */
+async function goToSearchMatch(match, register) {
+  const dateStr = slotDateStr(match.TimeFrom);
+  $('#datePicker').value = dateStr;
+  $('#displayDate').textContent = formatDisplayRange(dateStr);
+  await gridLoaderCaller();
+  const first = match.slots[0];
+  const slotEl = document.querySelector(`.slot[data-app-id="${CSS.escape(String(first.Appoitment_Id))}"]`);
+  if (slotEl) {
+    slotEl.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    slotEl.classList.add('highlight');
+    setTimeout(() => slotEl.classList.remove('highlight'), 2000);
+  }
+  if (register) {
+    // every slot of the match has to be loaded and still free; a run is booked as one appointment
+    const live = match.slots.map(m => findSlotInMap(match.resource.ID, m.Appoitment_Id));
+    if (live.some(s => !s || !isSlotAvailable(s))) setStatus(t('search.gone'), true);
+    else if (live.length > 1) openMultiSlotRegister(live, match.resource);
+    else onSlotClick(live[0], match.resource);
+  }
+}
+
+function renderSearchResults(matches) {
+  const list = $('#searchResults');
+  list.replaceChildren();
+  if (!matches.length) {
+    list.appendChild(h('li', { className: 'search-empty' }, t('search.none')));
+    return;
+  }
+  matches.forEach(m => {
+    const li = document.createElement('li');
+    li.className = 'search-result';
+    li.appendChild(h('div', null,
+      h('strong', null, formatShortDateStr(slotDateStr(m.TimeFrom))),
+      ` ${fmtTime(m.TimeFrom)} — ${fmtTime(m.TimeTo)} `,
+      h('small', null, resourceName(m.resource))));
+    const actions = document.createElement('div');
+    actions.className = 'search-result-actions';
+    const goBtn = document.createElement('button');
+    goBtn.className = 'btn';
+    goBtn.textContent = t('search.goTo');
+    goBtn.addEventListener('click', () => goToSearchMatch(m, false));
+    const regBtn = document.createElement('button');
+    regBtn.className = 'btn primary';
+    regBtn.textContent = t('search.register');
+    regBtn.addEventListener('click', () => goToSearchMatch(m, true));
+    actions.appendChild(goBtn);
+    actions.appendChild(regBtn);
+    li.appendChild(actions);
+    list.appendChild(li);
+  });
+}
+
+async function runSearch(e) {
+  e.preventDefault();
+  if (!session) { openSignIn(); return; }
+  const fromDate = $('#searchFrom').value;
+  const toDate = $('#searchTo').value || fromDate;
+  const fromMin = parseTimeOfDay($('#searchTimeFrom').value || '00:00');
+  const toMin = parseTimeOfDay($('#searchTimeTo').value || '23:59');
+  const minMinutes = Math.max(1, parseInt($('#searchDuration').value, 10) || CONFIG.SLOT_DURATION_MIN);
+  const limit = Math.max(1, parseInt($('#searchLimit').value, 10) || 5);
+
+  if (!fromDate || toDate < fromDate || toMin <= fromMin) {
+    $('#searchState').textContent = t('search.invalid');
+    return;
+  }
+
+  const resourceId = $('#searchResource').value;
+  $('#searchResults').replaceChildren();
+  $('#searchStopBtn').hidden = false;
+  const matches = await searchAvailableSlots({
+    customerId: currentCustomerId(),
+    resourceIds: resourceId ? [resourceId] : [],
+    fromDate, toDate, fromMin, toMin, minMinutes, limit
+  }, (d) => { $('#searchState').textContent = t('search.progress', { date: formatShortDateStr(d) }); });
+  $('#searchStopBtn').hidden = true;
+  if (!matches) return; // stopped or replaced by a newer search
+
+  const capped = addDaysStr(fromDate, CONFIG.SEARCH_MAX_DAYS - 1) < toDate;
+  $('#searchState').textContent = t(matches.length === 1 ? 'search.foundOne' : 'search.foundMany', { n: matches.length })
+    + (capped ? t('search.capped', { days: CONFIG.SEARCH_MAX_DAYS }) : '');
+  renderSearchResults(matches);
+}
+
+/* ====================
+   URL state: ?date=&view=&resource=&appt= for shareable links and browser back/forward
+   ==================== */
+let urlRestoring = false;       // applying the URL to the page: don't write history meanwhile
+let urlAppointment = '';        // appointment whose dialog is open (the `appt` parameter)
+let pendingUrlAppointment = ''; // `appt` from the URL, opened once the grid has loaded
+
+function readUrlState() {
+  const q = new URLSearchParams(location.search);
+  const date = q.get('date') || '';
+  const view = q.get('view') || '';
+  return {
+    date: /^\d{4}-\d{2}-\d{2}$/.test(date) && parseDateStr(date).toISOString().slice(0, 10) === date ? date : '',
+    view: ['day', 'week', 'workweek'].includes(view) ? view : '',
+    resource: q.get('resource') || '',
+    appt: q.get('appt') || ''
+  };
+}
+
+/* address for the current page state (other query parameters and the hash are kept) */
+function currentStateUrl() {
+  const q = new URLSearchParams(location.search);
+  const state = { date: $('#datePicker').value || todayStr(), view: viewMode, resource: resourceFilter, appt: urlAppointment };
+  Object.entries(state).forEach(([k, v]) => { if (v) q.set(k, v); else q.delete(k); });
+  const qs = q.toString();
+  return `${location.pathname}${qs ? `?${qs}` : ''}${location.hash}`;
+}
+
+/* write the page state to the address bar; push adds a history entry Back returns from */
+function syncUrl(push) {
+  if (urlRestoring) return;
+  const url = currentStateUrl();
+  if (url === location.pathname + location.search + location.hash) return;
+  if (push) history.pushState({}, '', url);
+  else history.replaceState(history.state, '', url);
+}
+
+/* an appointment dialog opened: its own history entry, so Back closes it */
+function urlAppointmentOpened(appId) {
+  urlAppointment = appId ? String(appId) : '';
+  if (urlAppointment) syncUrl(true);
+}
+
+/* an appointment dialog closed from the page: drop `appt` from the address in place */
+function urlAppointmentClosed() {
+  if (!urlAppointment) return;
+  urlAppointment = '';
+  if (urlRestoring) return;
+  // replace rather than history.back(): back() is async, so a pushState right after it (another dialog,
+  // a date change) would be undone when it lands. Back then steps over one entry with the same view.
+  syncUrl(false);
+}
+
+/* open the dialog for the appointment named in the URL (details, or booking for a free slot) */
+async function openUrlAppointment() {
+  const id = pendingUrlAppointment;
+  pendingUrlAppointment = '';
+  const r = resources.find(x => findSlotInMap(x.ID, id));
+  if (!r) { setStatus(t('url.notFound', { id }), true); return; }
+  const slot = findSlotInMap(r.ID, id);
+  urlRestoring = true;
+  try {
+    if (!isStaff() && isSlotAvailable(slot)) await onSlotClick(slot, r); // the booking rules load the week first
+    else openViewModal(slot, { editable: isStaff() && !isSlotAvailable(slot) });
+    urlAppointment = String(id);
+  } finally {
+    urlRestoring = false;
+  }
+}
+
+/* set date / view / resource filter from the URL (page load and back/forward) */
+function restoreUrlState(state) {
+  const date = state.date || todayStr();
+  const view = state.view || viewMode;
+  viewMode = view;
+  localStorage.setItem('viewMode', viewMode);
+  $('#viewModeSelect').value = viewMode;
+  resourceFilter = state.resource;
+  $('#datePicker').value = date;
+  $('#displayDate').textContent = formatDisplayRange(date);
+}
+
+/* back/forward: reload only when the date range changed; open or close the appointment dialog */
+async function onUrlPopState() {
+  const state = readUrlState();
+  const reload = (state.date || todayStr()) !== ($('#datePicker').value || todayStr()) || (state.view || viewMode) !== viewMode;
+  urlRestoring = true;
+  try {
+    if (urlAppointment && urlAppointment !== state.appt) { closeModal(); closeViewModal(); }
+    restoreUrlState(state);
+  } finally {
+    urlRestoring = false;
+  }
+  pendingUrlAppointment = state.appt && state.appt !== urlAppointment ? state.appt : '';
+  if (reload) { await gridLoaderCaller(); return; }
+  if (!session) return;
+  populateResourceFilter();
+  renderGrid($('#datePicker').value || todayStr());
+  if (pendingUrlAppointment) openUrlAppointment();
+}
+
 /* ====================
    Main load flow
    ==================== */
 document.addEventListener('DOMContentLoaded', () => {
-  //$('#modeSelect').value = MODE;
-  //$('#customerInput').value = CONFIG.CUSTOMER_ID;
+  localStorage.removeItem(CLIENT_DETAILS_KEY); // earlier versions kept client details in localStorage, beyond the session
+  setMode(MODE);
+  applyLanguage(); // dir/lang, static strings, session info
+  wireGridEvents($('#gridBody')); // slot clicks, drag & drop and keys are delegated from the grid body
+
+  $('#signInForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const customerId = $('#signInCustomer').value.trim();
+    const errEl = $('#signInError');
+    if (!/^\d+$/.test(customerId) || Number(customerId) <= 0) {
+      errEl.textContent = t('signIn.invalid');
+      errEl.hidden = false;
+      return;
+    }
+    // the role comes from the server's answer for this token, never from the form
+    const candidate = { customerId: Number(customerId), token: $('#signInToken').value.trim() || null };
+    const submitBtn = e.target.querySelector('[type="submit"]');
+    submitBtn.disabled = true;
+    try {
+      candidate.role = await fetchSessionRole(candidate);
+    } catch (err) {
+      errEl.textContent = t('signIn.rejected', { error: describeError(err) });
+      errEl.hidden = false;
+      return;
+    } finally {
+      submitBtn.disabled = false;
+    }
+    saveSession(candidate);
+    registeredSlot = null;
+    clearStaffSelection();
+    closeSignIn();
+    setStatus(t(isStaff() ? 'signIn.doneStaff' : 'signIn.done', { id: customerId }));
+    gridLoaderCaller();
+  });
+  $('#signOutBtn').addEventListener('click', () => signOut());
+
+  $('#exportMenu').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-export]');
+    if (!btn) return;
+    $('#exportMenu').open = false;
+    exportDay(btn.dataset.export);
+  });
+
+  $('#modeSelect').addEventListener('change', async (e) => {
+    setMode(e.target.value);
+    setStatus(t(MODE === 'mock' ? 'mode.switchedMock' : 'mode.switchedLive'));
+    // the other backend decides the role for itself; customer rights until it answers
+    if (session && session.role !== 'customer') {
+      session.role = 'customer';
+      updateSessionInfo();
+    }
+    gridLoaderCaller();
+    if (await refreshSessionRole()) gridLoaderCaller();
+  });
+  $('#mockResetBtn').addEventListener('click', () => {
+    mockResetStore();
+    clearApiCache();
+    setStatus(t('mock.cleared'));
+    if (MODE === 'mock') gridLoaderCaller();
+  });
 
-  const today = isoDateString(new Date());
-  $('#datePicker').value = today;
+  // date / view / resource / open appointment from the URL (today when absent)
+  const urlState = readUrlState();
+  restoreUrlState(urlState);
+  pendingUrlAppointment = urlState.appt;
+  syncUrl(false);
+  window.addEventListener('popstate', onUrlPopState);
 
-  // initialize display date
-  const displayEl = $('#displayDate');
-  displayEl.textContent = formatDisplayDateStr($('#datePicker').value);
+  // view mode (day / week / work week) + resource picker
+  $('#viewModeSelect').addEventListener('change', (e) => {
+    viewMode = e.target.value;
+    localStorage.setItem('viewMode', viewMode);
+    $('#displayDate').textContent = formatDisplayRange($('#datePicker').value || todayStr());
+    gridLoaderCaller();
+  });
+  // time display: clinic zone (grid layout) or the viewer's own zone (labels only)
+  const tzSelect = $('#timeDisplaySelect');
+  tzSelect.value = timeDisplay;
+  tzSelect.addEventListener('change', (e) => {
+    timeDisplay = e.target.value;
+    localStorage.setItem('timeDisplay', timeDisplay);
+    renderGrid($('#datePicker').value || todayStr());
+    setStatus(t(timeDisplay === 'local' ? 'time.shownLocal' : 'time.shownBusiness', { zone: displayZoneLabel() }));
+  });
+  // language (English / Arabic, RTL) + digit style for Arabic
+  $('#langSelect').value = lang;
+  $('#langSelect').addEventListener('change', (e) => {
+    lang = e.target.value === 'ar' ? 'ar' : 'en';
+    localStorage.setItem('lang', lang);
+    applyLanguage();
+  });
+  $('#arabicDigitsInput').checked = arabicDigits;
+  $('#arabicDigitsInput').addEventListener('change', (e) => {
+    arabicDigits = e.target.checked;
+    localStorage.setItem('arabicDigits', arabicDigits ? '1' : '0');
+    applyLanguage();
+  });
+  $('#resourceFilter').addEventListener('change', (e) => {
+    // slots for every resource are already loaded for the range -> re-render only
+    resourceFilter = e.target.value;
+    renderGrid($('#datePicker').value || todayStr());
+    syncUrl(true);
+  });
 
+  // explicit "Load Grid" always goes to the server
   $('#loadBtn').addEventListener('click', async () => {
-    const dateStr = $('#datePicker').value || isoDateString(new Date());
-    const custId = Number(CONFIG.CUSTOMER_ID);
-    await loadAndRender(dateStr, custId);
+    clearApiCache();
+    await gridLoaderCaller();
   });
 
   // date picker change: update display and reload grid
   $('#datePicker').addEventListener('change', () => {
-    const dateStr = $('#datePicker').value || isoDateString(new Date());
-    $('#displayDate').textContent = formatDisplayDateStr(dateStr);
+    const dateStr = $('#datePicker').value || todayStr();
+    $('#displayDate').textContent = formatDisplayRange(dateStr);
     // We do NOT ask user for confirmation here — update grid directly
     gridLoaderCaller();
   });
@@ -743,55 +4178,149 @@ document.addEventListener('DOMContentLoaded', () => {
 
   if (prevBtn) {
     prevBtn.addEventListener('click', () => {
-      const cur = new Date($('#datePicker').value || isoDateString(new Date()));
-      cur.setDate(cur.getDate() - 1);
-      const newIso = isoDateString(cur);
+      // move by the selected period (1 day or 1 week)
+      const newIso = addDaysStr($('#datePicker').value || todayStr(), -viewStepDays());
       $('#datePicker').value = newIso;
-      $('#displayDate').textContent = formatDisplayDateStr(newIso);
+      $('#displayDate').textContent = formatDisplayRange(newIso);
       gridLoaderCaller();
     });
   }
 
   if (nextBtn) {
     nextBtn.addEventListener('click', () => {
-      const cur = new Date($('#datePicker').value || isoDateString(new Date()));
-      cur.setDate(cur.getDate() + 1);
-      const newIso = isoDateString(cur);
+      // move by the selected period (1 day or 1 week)
+      const newIso = addDaysStr($('#datePicker').value || todayStr(), viewStepDays());
       $('#datePicker').value = newIso;
-      $('#displayDate').textContent = formatDisplayDateStr(newIso);
+      $('#displayDate').textContent = formatDisplayRange(newIso);
       gridLoaderCaller();
     });
   }
 
-  // initial load
-  (async () => { await $('#loadBtn').click(); })();
+  // find next available slot panel
+  $('#findSlotBtn').addEventListener('click', () => {
+    if ($('#searchPanel').hidden) openSearchPanel(); else closeSearchPanel();
+  });
+  $('#searchCloseBtn').addEventListener('click', closeSearchPanel);
+  $('#searchForm').addEventListener('submit', runSearch);
+  // printable roster
+  $('#rosterBtn').addEventListener('click', () => {
+    if ($('#rosterPanel').hidden) openRoster(); else closeRoster();
+  });
+  $('#rosterCloseBtn').addEventListener('click', closeRoster);
+  // my appointments (side panel)
+  $('#myApptsBtn').addEventListener('click', () => {
+    if ($('#myApptsPanel').hidden) openMyAppointments(); else closeMyAppointments();
+  });
+  $('#myApptsCloseBtn').addEventListener('click', closeMyAppointments);
+  $('#myApptsForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadMyAppointments();
+  });
+  $('#rosterPrintBtn').addEventListener('click', () => window.print());
+  $('#rosterResource').addEventListener('change', renderRoster);
+  $('#rosterStatusFilter').addEventListener('change', renderRoster);
+  // staff bulk actions
+  $('#bulkAcceptBtn').addEventListener('click', () => runBulkStatus(2));
+  $('#bulkRejectBtn').addEventListener('click', () => runBulkStatus(3));
+  $('#bulkClearBtn').addEventListener('click', () => {
+    clearStaffSelection();
+    $('#bulkResults').replaceChildren();
+    renderGrid($('#datePicker').value || todayStr());
+  });
+  updateBulkBar();
+
+  // Esc leaves keyboard move mode
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && moveMode && !e.defaultPrevented) setMoveMode(false);
+  });
+
+  // drag-select ends wherever the pointer is released
+  document.addEventListener('pointerup', finishDragSelect);
+  document.addEventListener('pointercancel', finishDragSelect);
+
+  $('#searchStopBtn').addEventListener('click', () => {
+    searchRun++;
+    $('#searchStopBtn').hidden = true;
+    $('#searchState').textContent = t('search.stopped');
+  });
+
+  // initial load (or sign-in first when there is no session yet)
+  if (!session) {
+    setStatus(t('signIn.prompt'));
+    openSignIn();
+  } else {
+    gridLoaderCaller();
+    refreshSessionRole().then(changed => { if (changed) gridLoaderCaller(); });
+  }
 });
 
-/* load resources and all slots for selected date */
+/* fill the resource picker, keeping the current choice when it still exists */
+function populateResourceFilter() {
+  const sel = $('#resourceFilter');
+  if (!resources.some(r => r.ID === resourceFilter)) resourceFilter = '';
+  sel.replaceChildren(h('option', { value: '' }, t('nav.allResources')));
+  resources.forEach(r => {
+    const opt = document.createElement('option');
+    opt.value = r.ID;
+    opt.textContent = resourceName(r);
+    sel.appendChild(opt);
+  });
+  sel.value = resourceFilter;
+}
+
+/* flatten per-day slot arrays for a resource into the slotsMap shape (copies, so cache stays pristine) */
+function composeResourceSlots(r, perDay) {
+  // attach resource id/name to each slot for better display
+  return perDay.flatMap(arr => arr || [])
+    .map(s => ({ ...s, Resource_Id: s.Resource_Id ?? r.ID, ResourceName: r.Name_En || r.Name }))
+    .sort((x, y) => String(x.TimeFrom).localeCompare(String(y.TimeFrom)));
+}
+
+/* background revalidation brought new data: rebuild that resource's slots if the view still shows it */
+function refreshResourceFromCache(r, dateStr, customerId) {
+  const current = $('#datePicker').value || todayStr();
+  if (current !== dateStr || pendingMove) return;
+  const perDay = rangeDates(dateStr).map(d => (slotCache.get(slotCacheKey(customerId, d, r.ID)) || {}).data || []);
+  patchResourceSlots(r, composeResourceSlots(r, perDay));
+}
+
+let activeLoad = null; // AbortController of the newest loadAndRender; older loads are aborted
+
+/* load resources and all slots for the view range containing the selected date */
 async function loadAndRender(dateStr, customerId) {
+  if (activeLoad) activeLoad.abort();
+  stopLiveRefresh();
+  const load = new AbortController();
+  activeLoad = load;
+  const { signal } = load;
+
   try {
-    setStatus('Loading resources...');
-    resources = await fetchResources(customerId);
-    resources = (resources || []).map(r => ({ ...r, ID: String(r.ID) }));
+    setStatus(t('grid.loadingResources'));
+    const loadedResources = await getResourcesCached(customerId, { signal });
+    if (signal.aborted) return;
+    resources = (loadedResources || []).map(r => ({ ...r, ID: String(r.ID) }));
     if (!resources || resources.length === 0) {
-      setStatus('No resources returned', true);
+      setStatus(t('grid.noResourcesReturned'), true);
       $('#gridWrap').hidden = true;
       $('#noData').hidden = false;
       return;
     }
+    populateResourceFilter();
 
-    // Clear any session-registered slot on initial load
-    registeredSlot = null;
+    // the session booking is kept across dates (it may be on another day); checked against the loaded slots below
 
-    // load slots for each resource concurrently
-    setStatus('Loading slots for all resources...');
-    slotsMap = {};
+    // load slots for every resource × day in the range concurrently
+    const dates = rangeDates(dateStr);
+    setStatus(dates.length > 1 ? t('grid.loadingDays', { days: dates.length }) : t('grid.loadingSlots'));
+    // build into a local map and only publish it if this load is still the newest one
+    const nextSlotsMap = {};
     const promises = resources.map(async (r) => {
-      const arr = await fetchSlotsForResource(customerId, dateStr, r.ID);
-      // attach resource name to each slot for better display
-      slotsMap[String(r.ID)] = (arr || []).map(s => ({ ...s, ResourceName: r.Name_En || r.Name }));
+      // stale cache entries render immediately; a changed background refresh re-renders that resource
+      const onRevalidated = () => refreshResourceFromCache(r, dateStr, customerId);
+      const perDay = await Promise.all(dates.map(d => getSlotsCached(customerId, d, r.ID, { onRevalidated, signal })));
+      nextSlotsMap[String(r.ID)] = composeResourceSlots(r, perDay);
       if (CONFIG.RESPECT_SERVER_REGISTERED) {
-        (slotsMap[String(r.ID)] || []).forEach(s => {
+        (nextSlotsMap[String(r.ID)] || []).forEach(s => {
           if (s.Register_Id && Number(s.Register_Id) === Number(customerId)) {
             registeredSlot = { Appoitment_Id: s.Appoitment_Id, Resource_Id: r.ID, TimeFrom: s.TimeFrom, TimeTo: s.TimeTo };
           }
@@ -800,34 +4329,246 @@ async function loadAndRender(dateStr, customerId) {
     });
 
     await Promise.all(promises);
+    if (signal.aborted) return; // a newer date was requested meanwhile
+    slotsMap = nextSlotsMap;
+    if (registeredSlot && dates.includes(slotDateStr(registeredSlot.TimeFrom))) {
+      const held = findSlotInMap(registeredSlot.Resource_Id, registeredSlot.Appoitment_Id);
+      if (!held || Number(held.Register_Id) !== Number(customerId)) registeredSlot = null; // cancelled or moved elsewhere
+    }
     renderGrid(dateStr);
+    // only here: re-renders after a booking or move keep that action's status
+    setStatus(dates.length > 1
+      ? t('grid.loadedDays', { n: resources.length, days: dates.length })
+      : t('grid.loaded', { n: resources.length }));
+    prefetchAdjacent(dateStr, customerId);
+    startLiveRefresh(dateStr, customerId);
 
     // ensure display date synced after load (in case external caller changed date)
-    const dp = $('#datePicker').value || isoDateString(new Date());
-    $('#displayDate').textContent = formatDisplayDateStr(dp);
+    const dp = $('#datePicker').value || todayStr();
+    $('#displayDate').textContent = formatDisplayRange(dp);
   } catch (err) {
+    if (isAbortError(err) || signal.aborted) return; // superseded by a newer load
     console.error(err);
-    setStatus('Failed to load grid', true);
+    if (!session) return; // auth failure: sign-in dialog already shown
+    setStatus(t('grid.loadFailed', { error: describeError(err) }), true);
     $('#gridWrap').hidden = true;
     $('#noData').hidden = false;
   }
 }
 
+/* ====================
+   Live refresh: keep the shown range in sync with bookings made elsewhere
+   - 'poll': re-fetch every resource/day of the view each CONFIG.LIVE_POLL_MS
+   - 'sse' / 'ws': server push on CONFIG.LIVE_EVENTS_ENDPOINT; each message is
+     { Resource_Id, Date? , slots? } and only that resource (and day) is refreshed
+   Changes are patched into the rendered grid (changed slots / that resource's cells only).
+   ==================== */
+let liveTimer = null;   // polling interval id
+let liveSource = null;  // EventSource or WebSocket while server push is active
+let livePolling = false; // a poll round is in flight
+
+function stopLiveRefresh() {
+  if (liveTimer) clearInterval(liveTimer);
+  liveTimer = null;
+  if (liveSource) liveSource.close();
+  liveSource = null;
+}
+
+function startLiveRefresh(dateStr, customerId) {
+  stopLiveRefresh();
+  const mode = CONFIG.LIVE_REFRESH;
+  if (mode === 'sse' || mode === 'ws') {
+    if (MODE !== 'mock' && connectLivePush(mode, dateStr, customerId)) return;
+    // no push channel (mock backend / unsupported browser) -> poll instead
+  } else if (mode !== 'poll') {
+    return;
+  }
+  liveTimer = setInterval(() => pollLiveSlots(dateStr, customerId), CONFIG.LIVE_POLL_MS);
+}
+
+/* open the push channel; false when it can't be opened */
+function connectLivePush(mode, dateStr, customerId) {
+  const url = `${CONFIG.API_BASE}${CONFIG.LIVE_EVENTS_ENDPOINT}?Customer_Id=${encodeURIComponent(customerId)}&Date=${encodeURIComponent(dateStr)}`;
+  const onMessage = (data) => handleLiveMessage(data, dateStr, customerId);
+  try {
+    if (mode === 'ws') {
+      if (typeof WebSocket === 'undefined') return false;
+      const ws = new WebSocket(url.replace(/^http/, 'ws'));
+      ws.addEventListener('message', (e) => onMessage(e.data));
+      ws.addEventListener('close', () => {
+        // server went away: fall back to polling for this view
+        if (liveSource !== ws) return;
+        liveSource = null;
+        liveTimer = setInterval(() => pollLiveSlots(dateStr, customerId), CONFIG.LIVE_POLL_MS);
+      });
+      liveSource = ws;
+    } else {
+      if (typeof EventSource === 'undefined') return false;
+      const es = new EventSource(url); // reconnects by itself after errors
+      es.addEventListener('message', (e) => onMessage(e.data));
+      liveSource = es;
+    }
+    return true;
+  } catch (err) {
+    console.warn('live push unavailable', err);
+    return false;
+  }
+}
+
+/* skip refreshes while the user is mid-action or the tab is hidden */
+function liveRefreshPaused(dateStr) {
+  return document.hidden || !!pendingMove || !!dragSelect || ($('#datePicker').value || todayStr()) !== dateStr;
+}
+
+async function pollLiveSlots(dateStr, customerId) {
+  if (livePolling || liveRefreshPaused(dateStr)) return;
+  livePolling = true;
+  try {
+    const dates = rangeDates(dateStr);
+    await Promise.all(resources.map(r => refreshLiveResource(r, dates, dateStr, customerId)));
+  } finally {
+    livePolling = false;
+  }
+}
+
+async function handleLiveMessage(data, dateStr, customerId) {
+  let msg;
+  try { msg = JSON.parse(data); } catch (e) { return; }
+  const r = msg && resources.find(x => x.ID === String(msg.Resource_Id));
+  const dates = rangeDates(dateStr);
+  if (!r || (msg.Date && !dates.includes(msg.Date)) || liveRefreshPaused(dateStr)) return;
+  if (msg.Date && Array.isArray(msg.slots)) {
+    // pushed slots go straight into the cache
+    slotCache.set(slotCacheKey(customerId, msg.Date, r.ID), { data: msg.slots, fetchedAt: Date.now(), promise: null, signal: null });
+    await refreshLiveResource(r, [], dateStr, customerId);
+  } else {
+    await refreshLiveResource(r, msg.Date ? [msg.Date] : dates, dateStr, customerId);
+  }
+}
+
+/* re-fetch `fetchDates` of one resource (other days of the range come from the cache) and patch the grid */
+async function refreshLiveResource(r, fetchDates, dateStr, customerId) {
+  try {
+    const perDay = await Promise.all(rangeDates(dateStr).map(d => fetchDates.includes(d)
+      ? cachedFetch(slotCache, slotCacheKey(customerId, d, r.ID), () => fetchSlotsForResource(customerId, d, r.ID))
+      : getSlotsCached(customerId, d, r.ID)));
+    if (liveRefreshPaused(dateStr) || !resources.includes(r)) return;
+    patchResourceSlots(r, composeResourceSlots(r, perDay));
+  } catch (err) {
+    console.warn('live refresh failed', r.ID, err);
+  }
+}
+
+/* same slot data? (key order independent; local objects gain fields in a different order) */
+function sameSlot(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(k => a[k] === b[k] || JSON.stringify(a[k]) === JSON.stringify(b[k]));
+}
+
+/* overwrite a slot object in place so references held elsewhere (open modal, registeredSlot) stay valid */
+function replaceSlotFields(target, source) {
+  Object.keys(target).forEach(k => { if (!(k in source)) delete target[k]; });
+  Object.assign(target, source);
+}
+
+/**
+ * Diff fresh slots for one resource against slotsMap and update only what changed:
+ * the keyed sync rebuilds just the slot boxes whose data differs (the whole grid only
+ * when the row range has to grow or shrink).
+ * Slots that just became unavailable flash, and an open register/move dialog for one is warned.
+ */
+function patchResourceSlots(r, fresh) {
+  const key = String(r.ID);
+  const current = slotsMap[key] || [];
+  const byId = new Map(current.map(s => [String(s.Appoitment_Id), s]));
+  const taken = new Set();
+  let changed = fresh.length !== current.length;
+
+  const next = fresh.map(s => {
+    const id = String(s.Appoitment_Id);
+    const old = byId.get(id);
+    if (!old) { changed = true; return s; }
+    if (sameSlot(old, s)) return old;
+    if (isSlotAvailable(old) && !isSlotAvailable(s) && !isMySlot(old)) taken.add(id);
+    replaceSlotFields(old, s);
+    changed = true;
+    return old;
+  });
+  if (!changed) return;
+  slotsMap[key] = next;
+
+  const range = renderedRange;
+  if (!range || !$('#gridBody').firstChild) return;
+  const [fromMin, toMin] = gridRowRange(range.dates, range.shown);
+  if (fromMin !== range.fromMin || toMin !== range.toMin) renderGrid($('#datePicker').value || todayStr());
+  else syncGridSlots();
+
+  if (!taken.size) return;
+  taken.forEach(id => {
+    const el = document.querySelector(`#gridBody .slot[data-app-id="${CSS.escape(id)}"]`);
+    if (!el) return;
+    el.classList.add('just-taken');
+    setTimeout(() => el.classList.remove('just-taken'), CONFIG.LIVE_FLASH_MS);
+  });
+  setStatus(t('live.taken', { n: taken.size }));
+  warnIfModalSlotTaken(taken);
+}
+
+/* the register/move dialog is open for a slot somebody else just booked */
+function warnIfModalSlotTaken(takenIds) {
+  if (!modalContext || (modalContext.mode !== 'register' && modalContext.mode !== 'update')) return;
+  const { ctx } = modalContext;
+  const targets = (ctx.slots || [ctx.slot]).filter(Boolean);
+  if (!targets.some(s => takenIds.has(String(s.Appoitment_Id)))) return;
+  showModalError(t('live.modalTaken'));
+  const confirmBtn = $('#modalConfirm');
+  if (confirmBtn) confirmBtn.disabled = true;
+}
+
 
 let gridLoaderCaller = async ()=>{
-    const dateStr = $('#datePicker').value || isoDateString(new Date());
-    const custId = Number(CONFIG.CUSTOMER_ID);
+    if (!session) { openSignIn(); return; }
+    const dateStr = $('#datePicker').value || todayStr();
+    const custId = currentCustomerId();
+    syncUrl(true); // new date / view -> new history entry
     await loadAndRender(dateStr, custId);
+    if (pendingUrlAppointment && resources.length) openUrlAppointment();
+    syncUrl(false); // resource filter may have been reset by the load
 }
 
 /* ====================
    Notes for Integration:
-   - Add appointment (POST): implement in handleModalConfirm register block (replace mock).
+   - Add appointment (server): registerAppointmentAPI() uses POST to CONFIG.REGISTER_ENDPOINT.
+       { Customer_Id, Resource_Id, Appointment_Id, Date, TimeFrom, TimeTo,
+         Full_Name, Phone, Birth_Date, Register_Subscribe_Number, Notes }
+     The client details come from the booking form (validated client-side; validate again on the server).
+     CONFIG.BOOKING_RULES (lead time, horizon, per-day / per-week limits, resource eligibility) is checked
+     client-side against the customer's bookings of that week (one slot GET per resource and day not on the
+     grid); the register and reschedule endpoints should enforce the same rules.
+     The returned appointment is merged into slotsMap by reconcileSlot().
    - Update appointment (server): updateAppointmentAPI() uses POST to CONFIG.UPDATE_ENDPOINT.
      The request body currently is:
        { Appointment_Id: "...", Notes: "...", Status: "1" }
      Adjust field names/headers if server expects different format.
-   - The "final update" step is executed from the View modal (editable mode).
-   - On success we update the in-memory slot and re-render grid so the user sees changes.
+   - Move booking (server): rescheduleAppointmentAPI() uses POST to CONFIG.RESCHEDULE_ENDPOINT.
+       { Customer_Id, Old_Appointment_Id, New_Appointment_Id, Resource_Id }
+     The grid shows the move as pending and rolls back if the server rejects it.
+   - Cancel booking (server): cancelAppointmentAPI() uses POST to CONFIG.CANCEL_ENDPOINT.
+       { Customer_Id, Appointment_Id, Reason }
+     Blocked client-side within CONFIG.CANCEL_CUTOFF_HOURS of TimeFrom.
+   - My appointments: the panel reads the same per-day slot endpoint for every resource over its date
+     range and keeps slots whose Register_Id is the customer, so the server must return Register_Id on
+     the customer's own bookings. A "bookings by customer" endpoint would replace the day-by-day scan.
+   - On success we update the in-memory slot, invalidate its cache entry and re-render grid so the user sees changes.
+   - Timestamps: TimeFrom/TimeTo without an offset are taken as CONFIG.BUSINESS_TIMEZONE wall time;
+     set that zone to the clinic's, or have the server send offsets.
+   - Localization: resources may send Name_Ar, slots Description_Ar and envelopes msg_ar; the Arabic UI
+     uses them when present and falls back to the _En fields.
+   - Live refresh (server push): CONFIG.LIVE_EVENTS_ENDPOINT?Customer_Id=..&Date=.. as SSE or WebSocket;
+     each message { Resource_Id, Date?, slots? } refreshes that resource (slots, when sent, are used as-is).
+   - Sign-in / roles: every request carries X-Customer-Id and Authorization: Bearer <token>. The client
+     asks CONFIG.SESSION_ENDPOINT?Customer_Id=.. which answers { Customer_Id, Role: 'staff' | 'customer' }
+     for that token; staff mode only follows that answer. The server must check the token itself and only
+     return other customers' client details (Full_Name, Phone, ...) to staff tokens.
    - Be aware of CORS/HTTPS when deploying; Netlify + HTTP backend without CORS/HTTPS will block requests.
    ==================== */